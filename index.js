@@ -7,13 +7,13 @@ const P = require("pino");
 
 const {
   default: makeWASocket,
-  useMultiFileAuthState,
   fetchLatestBaileysVersion,
   makeCacheableSignalKeyStore,
   DisconnectReason
 } = require("@whiskeysockets/baileys");
 
 const {
+  USERS_ROOT,
   ensureDir,
   getUserPaths,
   writeJSON,
@@ -23,12 +23,20 @@ const {
 const {
   autoScanAndCategorise,
   handleBroadcastMessage,
-  cleanCategories
+  cleanCategories,
+  runJobQueue,
+  handleExternalMessage
 } = require("./lib/broadcast");
 
-const { handleIncomingImage } = require("./lib/media");
+const { applyMessageUpdates, applyReceiptUpdates } = require("./lib/receipts");
+const { applyPollUpdate } = require("./lib/polls");
 const { cleanupOldMedia } = require("./cleanup");
 const { loadUserState, saveUserState, notifyFrontend, getFrontendStatus } = require("./lib/state");
+const { handlePairingReady, pairWithPhone, pairingStatus } = require("./lib/pairing");
+const { renderQr, splitQrFormat } = require("./lib/qr-link");
+const { emitEvent, subscribe } = require("./lib/events");
+const { AUTH_STORE, useAuthStore, hasAuthState, clearAuthState } = require("./lib/auth-store");
+const { getSessionPolicy, registerWaker } = require("./lib/session-policy");
 
 /* ---------------------------- global guards ----------------------------- */
 process.on("uncaughtException", (err) => {
@@ -53,6 +61,7 @@ process.on("unhandledRejection", (reason) => {
 const PORT = process.env.PORT ? Number(process.env.PORT) : 10000;
 const HOST = "0.0.0.0";
 const SESSION_TIMEOUT_MS = 30 * 60 * 1000; // 30min idle
+const WAKE_TIMEOUT_MS = 60_000; // how long a job waits for a sleeping session to reconnect
 const DASHBOARD_URL = "https://whats-broadcast-hub.lovable.app";
 
 // QR / reconnect tuning
@@ -104,9 +113,8 @@ async function persistUserState(username) {
 
 async function wipeAuth(username) {
   try {
-    const p = getUserPaths(username);
-    await fs.remove(p.auth);
-    console.log(`[${username}] Auth folder wiped`);
+    await clearAuthState(username);
+    console.log(`[${username}] Auth state wiped`);
   } catch (e) {
     console.warn(`[${username}] auth wipe failed: ${e.message}`);
   }
@@ -133,8 +141,9 @@ function clearUserState(username) {
   const u = USERS[username];
   if (u) {
     u.ignoreIds = new Set();
-    u.pendingImage = null;
+    u.pendingMedia = null;
     u.pendingText = null;
+    u.pendingPoll = null;
     u.awaitingCategory = false;
     u.lastPromptChat = null;
     if (u.categoryTimeout) {
@@ -167,8 +176,13 @@ function bindEventListeners(sock, username) {
     const { connection, lastDisconnect, qr } = update;
     const now = Date.now();
 
-    // ---- QR handling with state reset ----
-    if (qr) {
+    // ---- pairing code instead of QR when a phone number was given ----
+    if (qr && u.pairing?.phone && !sock.authState?.creds?.registered) {
+      if (await handlePairingReady(username, u, sock)) {
+        notifyFrontend(username, { qrAvailable: false, pairingCode: pairingStatus(u).code });
+      }
+    } else if (qr) {
+      // ---- QR handling with state reset ----
       const COOLDOWN_MS = 30 * 60 * 1000; // 30m
       if (u.qrPausedUntil && now < u.qrPausedUntil) {
         // cooling down, skip
@@ -187,6 +201,7 @@ function bindEventListeners(sock, username) {
             notifyFrontend(username, { qrAvailable: false });
             console.warn(`[${username}] Too many QR attempts. Paused ${COOLDOWN_MS / 60000}m`);
           }
+          emitEvent(username, "qr", { available: !!u.lastQR, attempts: u.qrAttempts, pausedUntil: u.qrPausedUntil || 0 });
         }
       }
     }
@@ -197,6 +212,7 @@ function bindEventListeners(sock, username) {
       u.ended = false;
       u.lastOpenAt = Date.now();
       u.lastActive = Date.now();
+      u.sleeping = false;
       clearUserState(username);
       const selfId = sock?.user?.id || "";
       u.selfJid = selfId;
@@ -206,17 +222,19 @@ function bindEventListeners(sock, username) {
       u.lastQR = null;
       u.qrAttempts = 0;
       u.qrPausedUntil = 0;
+      u.pairing = null;
       u.reconnectDelay = RECONNECT_BASE_MS;
       notifyFrontend(username, { connected: true, needsRelink: false, qrAvailable: false });
+      emitEvent(username, "connection", { state: "open", ownerJid });
       if (!u.greeted) {
         u.greeted = true;
         const greeting =
           `✅ Connected!\n\nCommands:\n` +
           `• /text — switch to text mode\n` +
-          `• /media — switch to image mode\n` +
+          `• /media — switch to media mode\n` +
           `• /cats — pick a category to send to\n` +
           `• /rescan — refresh groups\n\n` +
-          `Now send a message or image to broadcast.`;
+          `Now send a message or media to broadcast.`;
         try {
           await sock.sendMessage(ownerJid, { text: greeting });
         } catch (e) {
@@ -237,6 +255,8 @@ function bindEventListeners(sock, username) {
         } catch (e) {
           console.error(`[${username}] autoScan error`, e);
         }
+        // pick up broadcasts a restart or disconnect cut short, then anything queued
+        runJobQueue(username, sock);
       }, 15_000);
     }
 
@@ -249,6 +269,7 @@ function bindEventListeners(sock, username) {
         lastDisconnect?.reason;
       const message = lastDisconnect?.error?.message || "n/a";
       console.warn(`[${username}] Connection closed: code=${code} message=${message}`);
+      emitEvent(username, "connection", { state: "close", code: code ?? null, message });
       if (String(message).toLowerCase().includes("bad-mac")) {
         console.error(`[${username}] Bad MAC → wiping auth & relogin`);
         await endSession(u);
@@ -260,6 +281,8 @@ function bindEventListeners(sock, username) {
       await endSession(u);
       u.qrAttempts = 0;
       u.qrPausedUntil = 0;
+      // a code belongs to the closed socket; the next one asks for a fresh code (attempts are kept)
+      if (u.pairing) u.pairing.code = null;
       clearUserState(username);
       switch (code) {
         case 408:
@@ -283,7 +306,7 @@ function bindEventListeners(sock, username) {
   });
 
   // inbound messages
-  sock.ev.on("messages.upsert", async ({ messages }) => {
+  sock.ev.on("messages.upsert", async ({ messages, type }) => {
     try {
       u.lastActive = Date.now();
       for (const msg of messages || []) {
@@ -291,22 +314,27 @@ function bindEventListeners(sock, username) {
         const fromMe = !!msg?.key?.fromMe;
         const kinds = Object.keys(msg?.message || {}).join("|") || "none";
         console.log(`[${username}] rx: chat=${jid} fromMe=${fromMe} kinds=${kinds}`);
+        // votes on our broadcast polls arrive from the groups themselves
+        if (msg?.message?.pollUpdateMessage) {
+          try { applyPollUpdate(username, sock, msg); } catch (e) {
+            console.warn(`[${username}] poll vote failed: ${e.message}`);
+          }
+          continue;
+        }
         const selfBare = bareJid(u.selfJid || sock?.user?.id || "");
         const chatBare = bareJid(jid);
-        if (!fromMe && chatBare !== selfBare) continue;
-        if (fromMe && chatBare !== selfBare) continue;
-        u.ownerJid = selfBare;
-        const isOwnerChat = chatBare === selfBare;
-        const hasImage = !!msg?.message?.imageMessage;
-        if (isOwnerChat && hasImage && (u.mode === "media" || !u.mode)) {
-          try {
-            const captionText = msg.message.imageMessage.caption || "";
-            await handleIncomingImage({ sock, USERS, username, msg, captionText });
-            await sock.safeSend(jid, { text: "🖼️ Image saved. Use /cats to choose where to send." }).catch(() => {});
-          } catch (e) {
-            console.warn(`[${username}] failed to capture image: ${e?.message || e}`);
+        // other chats: reply inbox (opt-in), STOP/START from contacts and forward rules; only live messages, not history.
+        // Not awaited, so a slow forward download doesn't hold up self-chat commands in the same batch.
+        if (!fromMe && chatBare !== selfBare) {
+          if (type === "notify") {
+            handleExternalMessage(username, sock, msg).catch((e) => {
+              console.warn(`[${username}] external message failed: ${e.message}`);
+            });
           }
+          continue;
         }
+        if (fromMe && chatBare !== selfBare) continue;
+        u.ownerJid = selfBare;
         try {
           await handleBroadcastMessage(username, msg, sock);
         } catch (e) {
@@ -318,6 +346,18 @@ function bindEventListeners(sock, username) {
     }
   });
 
+  // delivery / read receipts for broadcast messages
+  sock.ev.on("messages.update", (updates) => {
+    try { applyMessageUpdates(username, updates); } catch (e) {
+      console.warn(`[${username}] messages.update failed: ${e.message}`);
+    }
+  });
+  sock.ev.on("message-receipt.update", (updates) => {
+    try { applyReceiptUpdates(username, updates); } catch (e) {
+      console.warn(`[${username}] message-receipt.update failed: ${e.message}`);
+    }
+  });
+
   console.log(`[${username}] ✅ Event listeners bound`);
 }
 
@@ -330,7 +370,7 @@ async function startUserSession(username) {
 
   const paths = getUserPaths(username);
   await ensureDir(paths.base);
-  await ensureDir(paths.auth);
+  if (AUTH_STORE === "files") await ensureDir(paths.auth); // other stores keep no plaintext folder
   await ensureDir(paths.data);
   await ensureDir(paths.media);
 
@@ -342,7 +382,7 @@ async function startUserSession(username) {
   Object.assign(USERS[username], {
     categories: savedCategories,
     allGroups: savedGroups,
-    pendingImage: null,
+    pendingMedia: null,
     pendingText: null,
     lastPromptChat: null,
     mode: existing.mode || "media",
@@ -357,11 +397,12 @@ async function startUserSession(username) {
     selfJid: null,
     ownerJid: existing.ownerJid || null,
     ignoreIds: new Set(),
-    greeted: false
+    // a session woken from idle sleep reconnects quietly
+    greeted: !!existing.sleeping
   });
 
   const logger = P({ level: "silent" });
-  const { state, saveCreds } = await useMultiFileAuthState(paths.auth);
+  const { state, saveCreds } = await useAuthStore(username);
   const { version } = await fetchLatestBaileysVersion();
 
   const sock = makeWASocket({
@@ -419,7 +460,7 @@ app.use((req, res, next) => {
     res.setHeader("Access-Control-Allow-Origin", origin);
   }
   res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Admin-Secret");
   res.setHeader("Access-Control-Allow-Credentials", "true");
   if (req.method === "OPTIONS") return res.sendStatus(200);
   next();
@@ -438,15 +479,28 @@ app.use("/admin", require("./routes/admin")(USERS, startUserSession, async (user
 }));
 app.use("/admin/list-groups", require("./routes/list-groups")(USERS));
 app.use("/schedule-job", require("./routes/schedule-job")(USERS));
+app.use("/broadcasts", require("./routes/broadcasts")(USERS));
+app.use("/group-vars", require("./routes/group-vars")(USERS));
+app.use("/footer", require("./routes/footer")(USERS));
+app.use("/forward-rules", require("./routes/forward-rules")(USERS));
+app.use("/contacts", require("./routes/contacts")(USERS));
+app.use("/pair", require("./routes/pair")(USERS, startUserSession));
+app.use("/link", require("./routes/link")(USERS, startUserSession, { maxQrAttempts: MAX_QR_ATTEMPTS }));
 
 // create user
 app.post("/create-user", async (req, res) => {
   try {
-    let { username } = req.body || {};
+    let { username, phoneNumber } = req.body || {};
     if (!username) {
       username = generateUsername();
       console.log(`[server] Generated new user: ${username}`);
     }
+    // with a phone number the user links by typing a pairing code instead of scanning a QR
+    if (phoneNumber) {
+      const result = await pairWithPhone(username, phoneNumber, startUserSession);
+      if (!result.ok) return res.status(result.status).json({ ok: false, username, error: result.error, pairing: result.pairing });
+      return res.json({ ok: true, username, method: "pairing", pairingCode: result.pairing.code, pairing: result.pairing });
+    }
     await startUserSession(username);
     res.json({ ok: true, username });
   } catch (e) {
@@ -467,6 +521,15 @@ app.post("/restart-session/:username", async (req, res) => {
   }
 });
 
+// live updates (SSE): status, qr, connection, progress, scan
+// only known accounts (loaded, or with a folder under users/) get a stream and a hub
+app.get("/events/:username", (req, res) => {
+  const { username } = req.params;
+  const onDisk = !username.startsWith(".") && fs.existsSync(path.join(usersDirPath, username));
+  if (!USERS[username] && !onDisk) return res.status(404).json({ error: "User not found" });
+  subscribe(username, req, res);
+});
+
 // status endpoints
 app.get("/status/:username", async (req, res) => {
   const username = req.params.username;
@@ -476,8 +539,11 @@ app.get("/status/:username", async (req, res) => {
     ok: true,
     connected: !!u.socketActive,
     connecting: !!u.connecting,
+    sleeping: !!u.sleeping,
     needsRelink: !!status.needsRelink,
     qrAvailable: !!status.qrAvailable,
+    method: u.pairing?.phone ? "pairing" : "qr",
+    pairingCode: pairingStatus(u).code,
     ownerJid: u.ownerJid || null,
     ts: Date.now()
   });
@@ -501,7 +567,8 @@ app.get("/qr-status/:username", (req, res) => {
     qrReady: !!u.lastQR,
     qrAttempts: u.qrAttempts || 0,
     pausedUntil: u.qrPausedUntil || 0,
-    pausedForMs: u.qrPausedUntil && u.qrPausedUntil > now ? (u.qrPausedUntil - now) : 0
+    pausedForMs: u.qrPausedUntil && u.qrPausedUntil > now ? (u.qrPausedUntil - now) : 0,
+    pairing: pairingStatus(u, now)
   });
 });
 
@@ -516,13 +583,25 @@ app.post("/reset-qr/:username", (req, res) => {
   res.json({ ok: true });
 });
 
-app.get("/get-qr/:username", (req, res) => {
-  const u = USERS[req.params.username];
+// /get-qr/:username → raw payload; /get-qr/:username.png | .svg → rendered image
+app.get("/get-qr/:username", async (req, res) => {
+  const { username, format } = USERS[req.params.username]
+    ? { username: req.params.username, format: null }
+    : splitQrFormat(req.params.username);
+  const u = USERS[username];
   if (!u) return res.status(404).json({ error: "User not found" });
   if (!u.lastQR) {
-    return res.json({ ok: false, error: "QR not available yet", retry: true });
+    return res.status(format ? 404 : 200).json({ ok: false, error: "QR not available yet", retry: true });
+  }
+  if (!format) return res.json({ ok: true, qr: u.lastQR, ts: u.qrTs || Date.now() });
+  try {
+    const image = await renderQr(u.lastQR, format);
+    res.setHeader("Cache-Control", "no-store");
+    res.type(format === "svg" ? "image/svg+xml" : "image/png").send(image);
+  } catch (e) {
+    console.error(`[${username}] QR render failed:`, e.message);
+    res.status(500).json({ ok: false, error: "QR render failed" });
   }
-  res.json({ ok: true, qr: u.lastQR, ts: u.qrTs || Date.now() });
 });
 
 app.get("/debug/state/:username", async (req, res) => {
@@ -548,7 +627,7 @@ app.get("/health", (_req, res) => res.send("OK"));
 
 /* ---------------------------- boot rehydrate ---------------------------- */
 
-const usersDirPath = path.join(__dirname, "users");
+const usersDirPath = USERS_ROOT;
 if (fs.existsSync(usersDirPath)) {
   const userDirs = fs.readdirSync(usersDirPath);
   for (const username of userDirs) {
@@ -564,7 +643,7 @@ if (fs.existsSync(usersDirPath)) {
       lastActive: Date.now(),
       categories,
       allGroups,
-      pendingImage: null,
+      pendingMedia: null,
       pendingText: null,
       lastPromptChat: null,
       mode: "media",
@@ -588,31 +667,59 @@ setInterval(() => {
 }, 6 * 60 * 60 * 1000);
 cleanupOldMedia();
 
+// Idle sessions follow the user's policy (lib/session-policy.js)
 setInterval(() => {
   const now = Date.now();
   for (const [username, u] of Object.entries(USERS)) {
     if (!u.socketActive && !u.connecting) continue;
+    const policy = getSessionPolicy(username);
+    if (policy === "always-on" || u.broadcastJobId) continue;
     const last = u.lastActive || 0;
     if (last && now - last > SESSION_TIMEOUT_MS) {
-      console.log(`[${username}] idle timeout — ending session & wiping auth`);
+      const wipe = policy === "wipe-on-idle";
+      console.log(`[${username}] idle timeout — ending session${wipe ? " & wiping auth" : " (auth kept)"}`);
       (async () => {
         try {
           if (u.ownerJid) {
             await u.sock?.safeSend?.(u.ownerJid, {
-              text: `🕐 Session paused due to inactivity.\nReopen dashboard to resume:\n${DASHBOARD_URL}`
+              text: wipe
+                ? `🕐 Session paused due to inactivity.\nReopen dashboard to resume:\n${DASHBOARD_URL}`
+                : `🕐 Session asleep due to inactivity. It reconnects by itself for scheduled and queued broadcasts.`
             }).catch(() => {});
           }
         } catch {}
         await persistUserState(username);
         await endSession(u);
-        await wipeAuth(username);
         clearUserState(username);
-        notifyFrontend(username, { connected: false, needsRelink: true, qrAvailable: false });
+        if (wipe) {
+          await wipeAuth(username);
+          notifyFrontend(username, { connected: false, needsRelink: true, qrAvailable: false });
+        } else {
+          u.sleeping = true;
+          notifyFrontend(username, { connected: false, sleeping: true, qrAvailable: false });
+        }
       })();
     }
   }
 }, 60_000);
 
+// Reconnects a session from its saved login; resolves true once the socket is open
+registerWaker(async (username) => {
+  if (USERS[username]?.socketActive) return true;
+  if (!(await hasAuthState(username))) return false;
+  if (!USERS[username]?.connecting) {
+    console.log(`[${username}] ⏰ Waking session`);
+    await startUserSession(username);
+  }
+  const until = Date.now() + WAKE_TIMEOUT_MS;
+  while (Date.now() < until) {
+    if (USERS[username]?.socketActive) return true;
+    await new Promise((r) => setTimeout(r, 1000));
+  }
+  console.warn(`[${username}] Session did not reconnect within ${WAKE_TIMEOUT_MS / 1000}s`);
+  return false;
+});
+
 setInterval(logMem, 120_000);
 
 /* --------------------------------- start -------------------------------- */
@@ -628,4 +735,11 @@ app.listen(PORT, HOST, () => {
     console.log(`[INIT] Booting user ${BOOT_USER}`);
     startUserSession(BOOT_USER).catch((e) => console.error("[boot] error", e));
   }
+  // always-on sessions come back with the server
+  for (const username of Object.keys(USERS)) {
+    if (username === BOOT_USER || getSessionPolicy(username) !== "always-on") continue;
+    hasAuthState(username)
+      .then((ok) => ok && startUserSession(username))
+      .catch((e) => console.error(`[boot] ${username} error`, e));
+  }
 });
@@ -0,0 +1,27 @@
+// lib/admin-auth.js
+// Express middleware for staff-only endpoints: the request must carry ADMIN_SECRET,
+// as "Authorization: Bearer <secret>" or an "x-admin-secret" header.
+
+const crypto = require('crypto');
+
+function secretFrom(req) {
+  const auth = req.headers.authorization || '';
+  if (/^Bearer /i.test(auth)) return auth.slice(7).trim();
+  return req.headers['x-admin-secret'] || '';
+}
+
+function matches(given, expected) {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Fails closed: without ADMIN_SECRET configured nobody gets through
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_SECRET;
+  if (!expected) return res.status(503).json({ error: 'ADMIN_SECRET is not configured' });
+  if (!matches(secretFrom(req), expected)) return res.status(401).json({ error: 'Unauthorized' });
+  return next();
+}
+
+module.exports = { requireAdmin };
@@ -0,0 +1,307 @@
+// lib/auth-store.js
+// Where WhatsApp login state (creds + signal keys) lives. AUTH_STORE picks the backend:
+//   files      Baileys' plaintext multi-file folder users/<name>/auth_info (legacy)
+//   encrypted  one AES-256-GCM file per key under users/<name>/auth_store (needs AUTH_STORE_KEY)
+//   sqlite     one table in AUTH_SQLITE_PATH (needs better-sqlite3, loaded on first use; it is an
+//              optional dependency, so a build that can't compile it still installs)
+//   supabase   the bot_auth_state table (schema: supabase/migrations/*_bot_auth_state.sql)
+// Default: encrypted when AUTH_STORE_KEY is set, files otherwise (with a warning at boot).
+// encrypted, sqlite and supabase all encrypt every value and refuse to start without AUTH_STORE_KEY.
+// Keys use the legacy file names without ".json" ("creds", "pre-key-12"), so an old
+// auth_info/auth folder imports as-is (see importLegacyAuth and migrate-auth.js).
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { initAuthCreds, BufferJSON, proto, useMultiFileAuthState } = require('@whiskeysockets/baileys');
+const { getUserPaths } = require('./utils');
+
+/* ----------------------------- config ---------------------------------- */
+
+const AUTH_STORE_KEY = process.env.AUTH_STORE_KEY || '';
+const AUTH_STORE = (process.env.AUTH_STORE || (AUTH_STORE_KEY ? 'encrypted' : 'files')).toLowerCase();
+const AUTH_SQLITE_PATH = process.env.AUTH_SQLITE_PATH || path.join(__dirname, '..', 'auth.sqlite');
+const SUPABASE_TABLE = 'bot_auth_state';
+const SEALED_PREFIX = 'v1:';
+
+// fail closed: only the legacy folders may hold credentials in plaintext
+if (AUTH_STORE !== 'files' && !AUTH_STORE_KEY) {
+  throw new Error(`AUTH_STORE=${AUTH_STORE} needs AUTH_STORE_KEY`);
+}
+if (AUTH_STORE === 'files') {
+  console.warn('[auth] ⚠️ WhatsApp credentials are stored in plaintext (AUTH_STORE=files); set AUTH_STORE_KEY to encrypt them');
+}
+
+/* ----------------------------- encryption ------------------------------- */
+
+// 64 hex chars are used as the raw key; anything else is stretched with scrypt
+const serverKey = !AUTH_STORE_KEY ? null
+  : /^[0-9a-f]{64}$/i.test(AUTH_STORE_KEY) ? Buffer.from(AUTH_STORE_KEY, 'hex')
+    : crypto.scryptSync(AUTH_STORE_KEY, 'whats-broadcast-auth-store', 32);
+
+function seal(text) {
+  if (!serverKey) return text;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', serverKey, iv);
+  const body = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return SEALED_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), body]).toString('base64');
+}
+
+// Plaintext values (written before a key was configured) pass through and get sealed on next write
+function unseal(value) {
+  if (value == null || !String(value).startsWith(SEALED_PREFIX)) return value;
+  if (!serverKey) throw new Error('Auth state is encrypted but AUTH_STORE_KEY is not set');
+  const raw = Buffer.from(String(value).slice(SEALED_PREFIX.length), 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', serverKey, raw.subarray(0, 12));
+  decipher.setAuthTag(raw.subarray(12, 28));
+  return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8');
+}
+
+/* ----------------------------- backends --------------------------------- */
+// A backend stores opaque strings per (username, key):
+//   readMany(username, keys) → { key: value }   (missing keys left out)
+//   writeMany(username, { key: value | null })  (null deletes)
+//   clear(username)
+
+function fixKey(key) {
+  return String(key).replace(/\//g, '__').replace(/:/g, '-');
+}
+
+function encryptedFsBackend() {
+  const fileFor = (username, key) => path.join(getUserPaths(username).authStore, `${key}.enc`);
+  return {
+    name: 'encrypted',
+    async readMany(username, keys) {
+      const out = {};
+      await Promise.all(keys.map(async (key) => {
+        try { out[key] = await fs.readFile(fileFor(username, key), 'utf8'); } catch {}
+      }));
+      return out;
+    },
+    async writeMany(username, entries) {
+      await fs.ensureDir(getUserPaths(username).authStore);
+      await Promise.all(Object.entries(entries).map(async ([key, value]) => {
+        const file = fileFor(username, key);
+        if (value == null) return fs.remove(file);
+        // write-then-rename so a crash never leaves half a key behind
+        const tmp = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fs.writeFile(tmp, value);
+        await fs.rename(tmp, file);
+      }));
+    },
+    async clear(username) {
+      await fs.remove(getUserPaths(username).authStore);
+    }
+  };
+}
+
+function sqliteBackend() {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch {
+    throw new Error('AUTH_STORE=sqlite needs the better-sqlite3 package (optional dependency; npm i better-sqlite3)');
+  }
+  fs.ensureDirSync(path.dirname(AUTH_SQLITE_PATH));
+  const db = new Database(AUTH_SQLITE_PATH);
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS auth_state (
+    username TEXT NOT NULL, key TEXT NOT NULL, value TEXT NOT NULL, updated_at INTEGER NOT NULL,
+    PRIMARY KEY (username, key))`);
+  const get = db.prepare('SELECT value FROM auth_state WHERE username = ? AND key = ?');
+  const put = db.prepare(`INSERT INTO auth_state (username, key, value, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (username, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`);
+  const del = db.prepare('DELETE FROM auth_state WHERE username = ? AND key = ?');
+  const delAll = db.prepare('DELETE FROM auth_state WHERE username = ?');
+  const writeTx = db.transaction((username, entries) => {
+    const now = Date.now();
+    for (const [key, value] of Object.entries(entries)) {
+      if (value == null) del.run(username, key);
+      else put.run(username, key, value, now);
+    }
+  });
+  return {
+    name: 'sqlite',
+    async readMany(username, keys) {
+      const out = {};
+      for (const key of keys) {
+        const row = get.get(username, key);
+        if (row) out[key] = row.value;
+      }
+      return out;
+    },
+    async writeMany(username, entries) {
+      writeTx(username, entries);
+    },
+    async clear(username) {
+      delAll.run(username);
+    }
+  };
+}
+
+function supabaseBackend() {
+  const { supabase } = require('./db');
+  return {
+    name: 'supabase',
+    async readMany(username, keys) {
+      if (!keys.length) return {};
+      const { data, error } = await supabase
+        .from(SUPABASE_TABLE)
+        .select('key, value')
+        .eq('username', username)
+        .in('key', keys);
+      if (error) throw new Error(`auth read failed: ${error.message}`);
+      return Object.fromEntries((data || []).map(r => [r.key, r.value]));
+    },
+    async writeMany(username, entries) {
+      const now = new Date().toISOString();
+      const rows = Object.entries(entries).filter(([, v]) => v != null)
+        .map(([key, value]) => ({ username, key, value, updated_at: now }));
+      const gone = Object.entries(entries).filter(([, v]) => v == null).map(([key]) => key);
+      if (rows.length) {
+        const { error } = await supabase.from(SUPABASE_TABLE).upsert(rows, { onConflict: 'username,key' });
+        if (error) throw new Error(`auth write failed: ${error.message}`);
+      }
+      if (gone.length) {
+        const { error } = await supabase.from(SUPABASE_TABLE).delete().eq('username', username).in('key', gone);
+        if (error) throw new Error(`auth delete failed: ${error.message}`);
+      }
+    },
+    async clear(username) {
+      const { error } = await supabase.from(SUPABASE_TABLE).delete().eq('username', username);
+      if (error) throw new Error(`auth clear failed: ${error.message}`);
+    }
+  };
+}
+
+const BACKENDS = { encrypted: encryptedFsBackend, sqlite: sqliteBackend, supabase: supabaseBackend };
+let backend = null;
+
+// null for the legacy plaintext folders
+function getBackend() {
+  if (AUTH_STORE === 'files') return null;
+  if (!BACKENDS[AUTH_STORE]) throw new Error(`Unknown AUTH_STORE "${AUTH_STORE}" (files, encrypted, sqlite or supabase)`);
+  if (!backend) {
+    backend = BACKENDS[AUTH_STORE]();
+    console.log(`[auth] Using ${backend.name} auth store (encrypted at rest)`);
+  }
+  return backend;
+}
+
+/* ----------------------------- migration -------------------------------- */
+
+// Plaintext folders a user may still have: auth_info (current) and auth (older builds)
+function legacyAuthDirs(username) {
+  const p = getUserPaths(username);
+  return [p.auth, path.join(p.base, 'auth')].filter(dir => fs.existsSync(path.join(dir, 'creds.json')));
+}
+
+// Moves a legacy folder into the store, then deletes the plaintext folders. Users who already
+// have creds in the store aren't re-imported (unless force is set); their stale folders are
+// deleted all the same. Returns the number of keys imported.
+async function importLegacyAuth(username, { force = false } = {}) {
+  const store = getBackend();
+  if (!store) return 0;
+  const dirs = legacyAuthDirs(username);
+  if (!dirs.length) return 0;
+  const base = getUserPaths(username).base;
+
+  let imported = 0;
+  if (force || !(await store.readMany(username, ['creds'])).creds) {
+    const entries = {};
+    for (const file of await fs.readdir(dirs[0])) {
+      if (!file.endsWith('.json')) continue;
+      entries[file.slice(0, -'.json'.length)] = seal(await fs.readFile(path.join(dirs[0], file), 'utf8'));
+    }
+    await store.writeMany(username, entries);
+    // only drop the plaintext copy once the store hands the creds back
+    const check = (await store.readMany(username, ['creds'])).creds;
+    if (!check || unseal(check) !== unseal(entries.creds)) throw new Error('auth import could not be verified');
+    imported = Object.keys(entries).length;
+    console.log(`[${username}] 🔐 Imported ${imported} auth key(s) from ${path.relative(base, dirs[0])} into ${store.name} store`);
+  }
+  for (const dir of dirs) {
+    await fs.remove(dir);
+    console.log(`[${username}] 🔐 Removed plaintext auth folder ${path.relative(base, dir)}`);
+  }
+  return imported;
+}
+
+/* ----------------------------- auth state ------------------------------- */
+
+// Drop-in for useMultiFileAuthState(paths.auth): { state: { creds, keys }, saveCreds }
+async function useAuthStore(username) {
+  const store = getBackend();
+  if (!store) return useMultiFileAuthState(getUserPaths(username).auth);
+  await importLegacyAuth(username);
+
+  const encode = (data) => seal(JSON.stringify(data, BufferJSON.replacer));
+  const decode = (value) => (value == null ? null : JSON.parse(unseal(value), BufferJSON.reviver));
+
+  const creds = decode((await store.readMany(username, ['creds'])).creds) || initAuthCreds();
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const keys = ids.map(id => fixKey(`${type}-${id}`));
+          const raw = await store.readMany(username, keys);
+          const out = {};
+          ids.forEach((id, i) => {
+            let value = decode(raw[keys[i]]);
+            if (type === 'app-state-sync-key' && value) value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            out[id] = value;
+          });
+          return out;
+        },
+        set: async (data) => {
+          const entries = {};
+          for (const type of Object.keys(data)) {
+            for (const [id, value] of Object.entries(data[type] || {})) {
+              entries[fixKey(`${type}-${id}`)] = value ? encode(value) : null;
+            }
+          }
+          await store.writeMany(username, entries);
+        }
+      }
+    },
+    saveCreds: () => store.writeMany(username, { creds: encode(creds) })
+  };
+}
+
+// True when saved creds are linked to a phone, i.e. the session can reconnect without a QR scan
+async function hasAuthState(username) {
+  const store = getBackend();
+  try {
+    // the configured store wins; a legacy folder only counts until it has been imported
+    const stored = store ? (await store.readMany(username, ['creds'])).creds : null;
+    const [legacy] = store ? legacyAuthDirs(username) : [getUserPaths(username).auth];
+    const raw = stored
+      ? unseal(stored)
+      : legacy ? await fs.readFile(path.join(legacy, 'creds.json'), 'utf8') : null;
+    const creds = raw ? JSON.parse(raw) : null;
+    // QR logins only set `me`; a pending pairing-code login has a placeholder `me` named "~"
+    return !!creds?.me?.id && (!!creds.registered || creds.me.name !== '~');
+  } catch {
+    return false;
+  }
+}
+
+// Logs a user out for good: the store plus any plaintext folders (so they aren't re-imported)
+async function clearAuthState(username) {
+  const store = getBackend();
+  const p = getUserPaths(username);
+  await fs.remove(p.auth);
+  if (!store) return;
+  await store.clear(username);
+  await fs.remove(path.join(p.base, 'auth'));
+}
+
+module.exports = {
+  AUTH_STORE,
+  useAuthStore,
+  hasAuthState,
+  clearAuthState,
+  importLegacyAuth,
+  legacyAuthDirs
+};
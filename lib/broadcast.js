@@ -4,7 +4,6 @@
 
 const fs = require('fs');
 const path = require('path');
-const { downloadMediaMessage } = require('@whiskeysockets/baileys');
 
 const {
   ensureDir,
@@ -17,14 +16,125 @@ const {
 } = require('./utils');
 
 const { saveUserState } = require('./state');
-const { normaliseImage } = require('./media-normalise');
+const { emitEvent } = require('./events');
+const { wakeSession } = require('./session-policy');
+const {
+  CAPTION_KINDS,
+  getMediaInfo,
+  mediaExtension,
+  mediaKindOf,
+  buildMediaContent,
+  safeDownloadMedia,
+  mediaSourceExists,
+  sendPreparedMedia,
+  releaseJobMedia
+} = require('./media');
+const {
+  createJob,
+  getJob,
+  listUnfinishedJobs,
+  pendingJobs,
+  setJobStatus,
+  isJobDone,
+  recordResult,
+  FAILURE_LABELS,
+  failedResults,
+  failureBreakdown,
+  remainingJids,
+  listJobs,
+  saveJob,
+  newJobId
+} = require('./jobs');
+const { trackSentMessage, findSentMessage, buildDeliveryTable } = require('./receipts');
+const { buildContext, renderTemplate, applyVarChanges } = require('./template');
+const {
+  MAX_VARIANTS,
+  hasSpintax,
+  spin,
+  buildVariants,
+  assignVariants,
+  variantText,
+  variantSummary,
+  formatVariantSummary
+} = require('./variants');
+const { getSettings, updateSettings } = require('./settings');
+const {
+  DEFAULT_LIMITS,
+  getLimits,
+  getUsage,
+  checkQuota,
+  planBatch,
+  recordSend,
+  isRateLimitError,
+  recordRateLimit
+} = require('./governor');
+const {
+  parseWindowSpec,
+  getWindows,
+  windowFor,
+  setWindow,
+  windowState,
+  formatWindow,
+  formatLocal
+} = require('./windows');
+const {
+  resolveFooter,
+  withFooter,
+  hasKnownFooter,
+  applyFooterChange
+} = require('./footer');
+const {
+  getMentionPolicy,
+  updateMentionPolicy,
+  mentionBlocker,
+  applyMentionToken
+} = require('./mentions');
+const {
+  contactJid,
+  listRules,
+  addRule,
+  updateRule,
+  removeRule,
+  rulesForSource,
+  matchesKeywords,
+  formatRule
+} = require('./forward');
+const {
+  isContactJid,
+  toContactJid,
+  formatNumber,
+  optKeyword,
+  contactName,
+  isOptedOut,
+  optOut,
+  optIn,
+  listOptOuts,
+  addToContactList,
+  contactLists
+} = require('./contacts');
+const {
+  buildPollContent,
+  parsePollCommand,
+  ensurePollSecret,
+  pollSummary,
+  formatPollResults
+} = require('./polls');
+const {
+  getInboxOptions,
+  setInboxOptions,
+  captureInboxMessage,
+  takeUnnotified,
+  getInboxItem,
+  listInbox,
+  formatInboxItem,
+  quotedFor
+} = require('./inbox');
 
 /* ----------------------------- config ---------------------------------- */
 
 const AUTO_MODE = (process.env.AUTO_MODE || 'false').toLowerCase() === 'true';
 
 const INTERACTION_TIMEOUT_MS = 30 * 60 * 1000; // 30m
-const FOOTER = '— Sent automatically via whats-broadcast-hub.lovable.app';
 const MAX_NAMES_PER_CATEGORY = 30;
 
 const BATCH_SIZE        = parseInt(process.env.BATCH_SIZE || '5', 10);
@@ -37,6 +147,12 @@ const SEND_MAX_RETRIES = 3;
 const SEND_TIMEOUT_MS  = 45_000;
 const WARM_DELAY_MS    = 2000;
 
+// Group replies/mentions are batched into one owner-chat digest per this window
+const INBOX_DIGEST_MS = parseInt(process.env.INBOX_DIGEST_MS || '60000', 10);
+
+// A paused broadcast is cancelled if nobody resumes it within this long
+const PAUSE_TIMEOUT_MS = parseInt(process.env.PAUSE_TIMEOUT_MS || String(30 * 60 * 1000), 10);
+
 // Show a per-batch preview ("Sending batch ...") before each batch
 const SHOW_BATCH_PREVIEW = (process.env.SHOW_BATCH_PREVIEW || 'true').toLowerCase() !== 'false';
 
@@ -59,6 +175,13 @@ function clearTarget(u){ u.selectedTarget = null; }
 
 function bareJid(j) { return String(j || '').replace(/:[^@]+(?=@)/, ''); }
 
+// Display name for a group or contact JID
+function targetName(username, jid) {
+  const u = USERSG()[username] || {};
+  if (u.allGroups?.[jid]?.name) return u.allGroups[jid].name;
+  return isContactJid(jid) ? contactName(username, jid) : jid;
+}
+
 // Recent system messages echo filter (to avoid rebroadcasting prompts)
 function markSysEcho(username, text) {
   if (!text) return;
@@ -84,7 +207,12 @@ function cancelFlow(u) {
   requestCancel(u);
   u.broadcastJobId = null;
   u.pendingText = null;
-  u.pendingImage = null;
+  u.pendingMedia = null;
+  u.pendingPoll = null;
+  u.mentionNext = false;
+  u.urgentNext = false;
+  u.pendingVariants = null;
+  u.variantWeights = null;
   u.awaitingPayload = null;
   u.lastPromptChat = null;
   u.awaitingCategory = false;
@@ -92,12 +220,6 @@ function cancelFlow(u) {
   clearTarget(u);
 }
 
-function withFooter(raw) {
-  const text = (raw || '').trim();
-  if (text.toLowerCase().includes('sent automatically via whats-broadcast-hub')) return text;
-  return text.length ? `${text}\n\n${FOOTER}` : FOOTER;
-}
-
 function normalizeStr(s=''){
   return s.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g,'').replace(/\s+/g,' ').trim();
 }
@@ -178,7 +300,6 @@ function getMessageText(msg) {
   if (m.documentMessage?.caption) return m.documentMessage.caption;
   return '';
 }
-function hasImage(msg) { return !!getContent(msg)?.imageMessage; }
 
 /* ----------------------- per-phone isolation guard ---------------------- */
 
@@ -201,6 +322,22 @@ function ensureOwnerConsistency(username, selfBare) {
 
 /* -------------------------- scan & categorise --------------------------- */
 
+// What the scan keeps per group: posting rules, size and whether we are an admin.
+// botIsAdmin is null when our own entry isn't in the participant list.
+function describeGroup(g, selfIds) {
+  const participants = g.participants || [];
+  const me = participants.find(p => [p.id, p.jid, p.lid].some(id => id && selfIds.has(bareJid(id))));
+  return {
+    id: g.id,
+    name: g.subject || g.name || g.id,
+    announce: !!g.announce,
+    restrict: !!g.restrict,
+    participantCount: g.size || participants.length || null,
+    botIsAdmin: me ? !!(me.admin || me.isAdmin || me.isSuperAdmin) : null,
+    scannedAt: Date.now()
+  };
+}
+
 async function autoScanAndCategorise(username, sock) {
   const u = USERSG()[username] || (USERSG()[username] = {});
   try {
@@ -214,19 +351,23 @@ async function autoScanAndCategorise(username, sock) {
       ? (u.categories || {})
       : readJSON(p.categories, {});
 
+    const prevAll = Object.keys(u.allGroups || {}).length
+      ? (u.allGroups || {})
+      : readJSON(p.groups, {});
+
+    const selfIds = new Set([sock.user?.id, sock.user?.lid].filter(Boolean).map(bareJid));
     const fetchedAll = {};
     for (const g of groups) {
-      fetchedAll[g.id] = { id: g.id, name: g.subject || g.name || g.id };
+      fetchedAll[g.id] = describeGroup(g, selfIds);
+      // user-managed template variables survive rescans
+      if (prevAll[g.id]?.vars) fetchedAll[g.id].vars = prevAll[g.id].vars;
     }
 
     for (const k of Object.keys(previousCats)) {
-      previousCats[k] = (previousCats[k] || []).filter(j => currentSet.has(j));
+      previousCats[k] = (previousCats[k] || []).filter(j => currentSet.has(j) || isContactJid(j));
       if (!previousCats[k].length) delete previousCats[k];
     }
 
-    const prevAll = Object.keys(u.allGroups || {}).length
-      ? (u.allGroups || {})
-      : readJSON(p.groups, {});
     const prevSet = new Set(Object.keys(prevAll));
     for (const [jid, g] of Object.entries(fetchedAll)) {
       if (!prevSet.has(jid)) {
@@ -239,7 +380,14 @@ async function autoScanAndCategorise(username, sock) {
     u.allGroups = fetchedAll;
     u.categories = previousCats;
     const report = cleanCategories(username);
-    console.log(`[${username}] ✅ Auto-scan complete. Groups: ${Object.keys(fetchedAll).length} (kept=${report.kept}, fixed=${report.fixed}, dropped=${report.dropped})`);
+    const adminsOnly = Object.keys(fetchedAll).filter(j => unsendableReason(u, j) === 'announce-only').length;
+    console.log(`[${username}] ✅ Auto-scan complete. Groups: ${Object.keys(fetchedAll).length} (kept=${report.kept}, fixed=${report.fixed}, dropped=${report.dropped}, admins-only=${adminsOnly})`);
+    emitEvent(username, 'scan', {
+      groups: Object.keys(fetchedAll).length,
+      categories: Object.fromEntries(Object.entries(u.categories).map(([name, jids]) => [name, jids.length])),
+      ...report,
+      adminsOnly
+    });
   } catch (e) {
     console.error(`[${username}] Auto-scan failed: ${e.message}`);
     throw e;
@@ -259,7 +407,7 @@ function cleanCategories(username) {
     if (!Array.isArray(jidList)) continue;
     const originalLength = jidList.length;
     const cleanedList = jidList.filter(jid => {
-      if (validJids.has(jid)) { kept++; return true; }
+      if (validJids.has(jid) || isContactJid(jid)) { kept++; return true; }
       dropped++; return false;
     });
     if (cleanedList.length !== originalLength) { u.categories[catName] = cleanedList; fixed++; }
@@ -270,7 +418,9 @@ function cleanCategories(username) {
 
 /* ----------------------- smart name -> JID resolution ------------------- */
 
-function resolveToJids(username, inputs) {
+// Group names/JIDs → group JIDs. Phone numbers only count (as contact JIDs) with { contacts: true },
+// for commands working on a contact list.
+function resolveToJids(username, inputs, { contacts = false } = {}) {
   const u = USERSG()[username] || {};
   const all = u.allGroups || {};
 
@@ -280,6 +430,8 @@ function resolveToJids(username, inputs) {
     const raw = String(rawIn).trim();
 
     if (raw.endsWith('@g.us')) { out.push(raw); continue; }
+    const contact = contacts && toContactJid(raw);
+    if (contact) { out.push(contact); continue; }
 
     let best = null, bestScore = 0;
     for (const g of Object.values(all)) {
@@ -299,14 +451,25 @@ function resolveToJids(username, inputs) {
     if (best && bestScore >= 0.5) out.push(best);
   }
 
-  return Array.from(new Set(out)).filter(j => typeof j === 'string' && j.endsWith('@g.us'));
+  return Array.from(new Set(out)).filter(j => typeof j === 'string' && (j.endsWith('@g.us') || (contacts && isContactJid(j))));
 }
 
 /* ----------------------------- category UI ------------------------------ */
 
 function buildCategoryPrompt(username) {
-  const { categories = {}, allGroups = {}, mode = 'media' } = USERSG()[username] || {};
+  const u = USERSG()[username] || {};
+  const { categories = {}, allGroups = {}, mode = 'media' } = u;
+  const warn = (jids) => {
+    const n = jids.filter(j => unsendableReason(u, j) === 'announce-only').length;
+    return n ? `, ⚠️ ${n} admins-only` : '';
+  };
   const catNames = Object.keys(categories).sort((a,b) => a.localeCompare(b));
+  const size = (jids) => {
+    const contacts = jids.filter(isContactJid).length;
+    const groups = jids.length - contacts;
+    if (!contacts) return `${groups} groups`;
+    return groups ? `${groups} groups, ${contacts} contacts` : `📇 ${contacts} contacts`;
+  };
 
   const lines = [];
   const mapping = {};
@@ -316,11 +479,11 @@ function buildCategoryPrompt(username) {
 
   for (const cat of catNames) {
     const jids = (categories[cat] || []).filter(Boolean);
-    const names = jids.map(j => allGroups[j]?.name || j);
+    const names = jids.map(j => targetName(username, j));
     mapping[idx] = cat;
     const shown = names.slice(0, MAX_NAMES_PER_CATEGORY);
     const extra = Math.max(0, names.length - shown.length);
-    lines.push(`*${idx}. ${cat}* (${jids.length} groups)`);
+    lines.push(`*${idx}. ${cat}* (${size(jids)}${warn(jids)})`);
     if (shown.length) {
       lines.push('  - ' + shown.join('\n  - ') + (extra ? `\n  ... (+${extra} more)` : ''));
     }
@@ -328,72 +491,70 @@ function buildCategoryPrompt(username) {
   }
 
   mapping[idx] = '__ALL__';
-  lines.push(`*${idx}. Send to ALL*`);
+  const allWarn = warn(Object.keys(allGroups));
+  lines.push(`*${idx}. Send to ALL*${allWarn ? ` (${allWarn.slice(2)})` : ''}`);
 
   return { text: `Choose a category:\n\n${lines.join('\n')}\n\nReply with the number.`, mapping, totalOptions: idx };
 }
 
-/* --------------------------- media download ----------------------------- */
+/* ------------------------------ warm-up -------------------------------- */
 
-async function safeDownloadMedia(msg, sock, retries = 8, delay = 3000) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      const buffer = await downloadMediaMessage(
-        msg, 'buffer', {},
-        { logger: sock.logger, reuploadRequest: sock.updateMediaMessage.bind(sock) }
-      );
-      if (buffer?.length) return buffer;
-    } catch (e) {
-      console.warn(`[media] Download attempt ${i + 1} failed: ${e.message}`);
-    }
-    if (i < retries - 1) await sleep(delay);
-  }
-  return null;
+// Rejects with `message` after ms; the timer is cleared as soon as the race settles
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, rej) => { timer = setTimeout(() => rej(new Error(message)), ms); })
+  ]).finally(() => clearTimeout(timer));
 }
 
-/* ------------------------------ warm-up -------------------------------- */
-
-async function warmSessionsForGroup(sock, jid) {
+async function warmSessionsForGroup(sock, jid, group) {
   try {
-    const meta = await Promise.race([
-      sock.groupMetadata(jid),
-      new Promise((_, r) => setTimeout(() => r(new Error('META_TIMEOUT')), 8000))
-    ]);
+    const meta = await withTimeout(sock.groupMetadata(jid), 8000, 'META_TIMEOUT');
     if (!meta || meta instanceof Error) return 0;
     const jids = (meta.participants || []).map(p => p.id || p.jid || p).filter(Boolean);
+    if (group) group.participantCount = jids.length;
     if (typeof sock.assertSessions === 'function' && jids.length) {
-      await Promise.race([
-        sock.assertSessions(jids, true),
-        new Promise((_, r) => setTimeout(() => r(new Error('ASSERT_TIMEOUT')), 10000))
-      ]);
+      await withTimeout(sock.assertSessions(jids, true), 10000, 'ASSERT_TIMEOUT');
       return jids.length;
     }
   } catch {}
   return 0;
 }
 
-async function prewarmAllGroups(sock, jids) {
+// Member JIDs of a group (for mention-all); [] when metadata can't be fetched
+async function groupMembers(sock, jid) {
+  try {
+    const meta = await withTimeout(sock.groupMetadata(jid), 8000, 'META_TIMEOUT');
+    return (meta?.participants || []).map(p => p.id || p.jid).filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+async function prewarmAllGroups(sock, jids, allGroups = {}) {
   const MAX_PAR = 6;
   const uniq = Array.from(new Set(jids));
   let i = 0;
   while (i < uniq.length) {
     const slice = uniq.slice(i, i + MAX_PAR);
-    await Promise.allSettled(slice.map(j => warmSessionsForGroup(sock, j)));
+    await Promise.allSettled(slice.map(j => warmSessionsForGroup(sock, j, allGroups[j])));
     i += MAX_PAR;
   }
 }
 
 /* ----------------------- send with retry/timeout ------------------------ */
 
-async function sendToOneWithRetry(sock, jid, payload) {
+async function sendToOneWithRetry(sock, jid, payload, username) {
   let attempt = 0, warmed = false;
   while (attempt <= SEND_MAX_RETRIES) {
     try {
-      const sendPromise = sock.safeSend ? sock.safeSend(jid, payload) : sock.sendMessage(jid, payload);
-      const result = await Promise.race([
-        sendPromise,
-        new Promise((_, rej) => setTimeout(() => rej(new Error(`TIMEOUT:${jid}`)), SEND_TIMEOUT_MS))
-      ]);
+      // payload is either message content or a ready-made send thunk (prepared media)
+      const sendPromise = typeof payload === 'function'
+        ? payload()
+        : (sock.safeSend ? sock.safeSend(jid, payload) : sock.sendMessage(jid, payload));
+      const result = await withTimeout(sendPromise, SEND_TIMEOUT_MS, `TIMEOUT:${jid}`);
+      if (username) recordSend(username);
       return result;
     } catch (err) {
       const msg = String(err?.message || err);
@@ -404,7 +565,14 @@ async function sendToOneWithRetry(sock, jid, payload) {
         const warmedCount = await warmSessionsForGroup(sock, jid).catch(() => 0);
         if (warmedCount > 0) { await sleep(WARM_DELAY_MS); continue; }
       }
-      if (/rate|limit|too many|slow down/i.test(msg)) {
+      // admins-only group that still refuses us: retries won't help (and it isn't a rate limit)
+      const group = username && USERSG()[username]?.allGroups?.[jid];
+      if (group?.announce && /not-acceptable|not-authorized|forbidden/i.test(msg)) {
+        group.botIsAdmin = false; // skipped up front from now on
+        throw new Error(`announce-only: ${msg}`);
+      }
+      if (isRateLimitError(msg)) {
+        if (username) recordRateLimit(username, msg); // widens pacing for the following batches
         await sleep(10000 + (attempt * 5000));
       }
 
@@ -418,6 +586,50 @@ async function sendToOneWithRetry(sock, jid, payload) {
   }
 }
 
+/* ---------------------------- target checks ----------------------------- */
+
+// Why a group can't receive this broadcast, or null if it can
+function unsendableReason(u, jid) {
+  const all = u?.allGroups || {};
+  const g = all[jid];
+  if (!g) return Object.keys(all).length ? 'missing' : null;
+  if (g.announce && g.botIsAdmin === false) return 'announce-only';
+  return null;
+}
+
+// Splits a target list the same way for previews and real sends
+function resolveTargets(username, jids, category = null) {
+  const u = USERSG()[username] || {};
+  const seen = new Set();
+  const targets = [], skipped = [], overlaps = [];
+  for (const jid of jids || []) {
+    if (!jid) continue;
+    if (seen.has(jid)) { skipped.push({ jid, reason: 'duplicate' }); continue; }
+    seen.add(jid);
+    const reason = isContactJid(jid)
+      ? (isOptedOut(username, jid) ? 'opted-out' : null)
+      : unsendableReason(u, jid);
+    if (reason) { skipped.push({ jid, reason }); continue; }
+    targets.push(jid);
+    // groups that would also get it from another category's broadcast
+    const others = Object.keys(u.categories || {})
+      .filter(c => c !== category && (u.categories[c] || []).includes(jid));
+    if (category && category !== '__ALL__' && others.length) overlaps.push({ jid, categories: others });
+  }
+  return { targets, skipped, overlaps };
+}
+
+// {a|b} spintax (seeded per group), then {group_name}, {category}, {date},
+// {participant_count} + per-group vars, then footer
+function renderForGroup(username, category, jid, raw, footer, seed = jid) {
+  const u = USERSG()[username] || {};
+  const text = renderTemplate(spin(raw, seed), buildContext({
+    group: u.allGroups?.[jid] || { id: jid, name: targetName(username, jid) },
+    category
+  }));
+  return withFooter(text, footer);
+}
+
 /* ------------------------------ batch send ------------------------------ */
 
 function isSelectionPromptText(t) {
@@ -426,11 +638,13 @@ function isSelectionPromptText(t) {
          s.includes('now type your message and send');
 }
 
-async function sendInBatches(sock, username, from, jids, messageContent, jobId) {
+// opts.category: category name (or '__ALL__') the targets came from, for templates
+async function sendInBatches(sock, username, from, jids, messageContent, jobId, opts = {}) {
   const u = USERSG()[username];
   let sent = 0, failed = 0, skipped = 0;
   const errors = [];
   const startTime = Date.now();
+  let interrupted = false;
 
   const stillMine = () => {
     const uNow = USERSG()[username];
@@ -443,51 +657,144 @@ async function sendInBatches(sock, username, from, jids, messageContent, jobId)
     return;
   }
 
-  if (!messageContent.text && !messageContent.image?.url) {
+  const mediaKind = mediaKindOf(messageContent);
+  if (!messageContent.text && !mediaKind && !messageContent.poll) {
     await sendSys(username, sock, from, { text: 'Error: No valid content to broadcast' }).catch(()=>{});
     return;
   }
 
-  try { await prewarmAllGroups(sock, jids); } catch {}
-  if (!stillMine()) return;
+  // Durable record: an existing one means we are resuming after a restart
+  const job = getJob(username, jobId) ||
+    createJob(username, { id: jobId, from, jids, content: messageContent, category: opts.category });
+  const remaining = remainingJids(job);
+  const alreadySent = job.jids.length - remaining.length;
+  const { targets: sendable, skipped: unsendable } = resolveTargets(username, remaining, job.category);
+  for (const { jid, reason } of unsendable) {
+    skipped++;
+    recordResult(username, job, jid, { status: 'skipped', error: reason });
+  }
+  setJobStatus(username, job, 'running');
+
+  // groups first at group pace, then contacts one at a time at the slower contact pace
+  const groupTargets = sendable.filter(j => !isContactJid(j));
+  const targets = [...groupTargets, ...sendable.filter(isContactJid)];
+  const firstContact = groupTargets.length;
+
+  try { await prewarmAllGroups(sock, groupTargets, u?.allGroups || {}); } catch {}
+  if (!stillMine()) {
+    setJobStatus(username, job, 'cancelled');
+    releaseJobMedia(username, job);
+    return;
+  }
+
+  const footer = resolveFooter(getSettings(username), job.category);
+  // A/B split is fixed on the first run so resumes keep each group's variant
+  if (messageContent.variants?.length && !job.variantOf) {
+    job.variantOf = assignVariants(job.jids, messageContent.variants, job.id);
+    saveJob(username, job);
+  }
+  const variantFor = (jid) => job.variantOf?.[jid] || null;
+  // every group's poll shares the job's secret so votes can be decrypted later
+  const pollSecret = messageContent.poll ? ensurePollSecret(username, job) : null;
+  // auto-forwarded posts carry WhatsApp's own "Forwarded" label
+  const baseContext = messageContent.forwarded ? { isForwarded: true, forwardingScore: 1 } : null;
+  const mentionPolicy = messageContent.mentionAll && !messageContent.poll ? getMentionPolicy(username) : null;
+  let mentionedGroups = 0;
+  const mentionSkips = [];
+
+  // Mentions for one group, or a reason they were left out
+  const mentionsFor = async (jid) => {
+    if (!mentionPolicy || isContactJid(jid)) return {};
+    const known = u?.allGroups?.[jid]?.participantCount || 0;
+    const early = mentionBlocker(mentionPolicy, job.category, known);
+    if (early) return { mentionSkip: early };
+    const members = await groupMembers(sock, jid);
+    if (!members.length) return { mentionSkip: 'members unavailable' };
+    const blocked = mentionBlocker(mentionPolicy, job.category, members.length);
+    return blocked ? { mentionSkip: blocked } : { mentions: members };
+  };
 
-  const totalBatches = Math.ceil(jids.length / BATCH_SIZE);
-  const waitSecs = Math.max(1, Math.round(BATCH_INTERVAL_MS / 1000));
+  let idx = 0, batchNum = 0;
+  let deferred = null; // quota hit that pushes the rest of the job out
+  let pauseExpired = false;
 
-  for (let batchStart = 0; batchStart < jids.length; batchStart += BATCH_SIZE) {
+  while (idx < targets.length) {
     if (!stillMine()) break;
 
-    const batch = jids.slice(batchStart, batchStart + BATCH_SIZE);
-    const batchNum = Math.floor(batchStart / BATCH_SIZE) + 1;
+    // Frozen between batches; position and counters stay as they are
+    if (job.pausedAt) {
+      const outcome = await waitWhilePaused(username, sock, from, job, stillMine);
+      if (outcome === 'socket') { interrupted = true; break; }
+      if (outcome === 'timeout') { pauseExpired = true; break; }
+      if (outcome !== 'resumed') break;
+      continue;
+    }
 
-    if (!u?.socketActive) {
+    if (!u?.socketActive || u.sock !== sock) {
       await sendSys(username, sock, from, { text: `⚠️ Connection lost. Sent: ${sent}, Failed: ${failed}` }).catch(()=>{});
+      interrupted = true;
       break;
     }
 
+    // Send window closed mid-job (quiet hours): hold the rest until it opens
+    const win = job.urgent ? null : windowFor(username, job.category);
+    const winState = windowState(win);
+    if (!winState.open) { deferred = { reason: 'window', window: win, until: winState.opensAt }; break; }
+
+    // Governor: short waits are slept through, long ones defer the remainder
+    const quota = checkQuota(username);
+    if (quota.waitMs) {
+      if (!quota.inline) { deferred = { ...quota, until: Date.now() + quota.waitMs }; break; }
+      await sleep(quota.waitMs);
+      continue;
+    }
+
+    const toContacts = idx >= firstContact;
+    const plan = planBatch(username, { contacts: toContacts });
+    const end = Math.min(idx + Math.min(plan.batchSize, quota.remaining), toContacts ? targets.length : firstContact);
+    const batch = targets.slice(idx, end);
+    idx += batch.length;
+    batchNum++;
+    const totalBatches = batchNum +
+      Math.ceil(Math.max(0, firstContact - idx) / plan.batchSize) + (targets.length - Math.max(idx, firstContact));
+
     // NEW: announce batch with group names
     if (SHOW_BATCH_PREVIEW) {
-      const names = batch.map(id => (u?.allGroups?.[id]?.name || id)).filter(Boolean);
+      const names = batch.map(id => targetName(username, id)).filter(Boolean);
       const bullets = names.map(n => `• ${n}`).join('\n');
-      const header = `📤 Sending batch ${batchNum}/${totalBatches} (${batch.length} group${batch.length>1?'s':''}):`;
+      const unit = toContacts ? 'contact' : 'group';
+      const header = `📤 Sending batch ${batchNum}/${totalBatches} (${batch.length} ${unit}${batch.length>1?'s':''}):`;
       await sendSys(username, sock, from, { text: `${header}\n${bullets}` }).catch(()=>{});
     }
 
     const batchPromises = batch.map(async (jid) => {
       if (!stillMine()) return { success:false, jid, error:'CANCELLED', skipped:true };
+      // a STOP can arrive while the job is running
+      if (isContactJid(jid) && isOptedOut(username, jid)) return { success:false, jid, error:'opted-out', skipped:true };
       try {
-        if (messageContent.text !== undefined) {
-          await sendToOneWithRetry(sock, jid, { text: withFooter(messageContent.text) });
+        let sentMsg;
+        const { mentions, mentionSkip } = await mentionsFor(jid);
+        const contextInfo = baseContext || mentions
+          ? { ...(baseContext || {}), ...(mentions ? { mentionedJid: mentions } : {}) }
+          : undefined;
+        if (messageContent.poll) {
+          sentMsg = await sendToOneWithRetry(sock, jid, { poll: { ...messageContent.poll, messageSecret: pollSecret } }, username);
+        } else if (messageContent.text !== undefined) {
+          const text = renderForGroup(username, job.category, jid, variantText(messageContent, variantFor(jid)), footer, `${job.id}:${jid}`);
+          sentMsg = await sendToOneWithRetry(sock, jid, contextInfo ? { text, contextInfo } : { text }, username);
         } else {
-          if (!fs.existsSync(messageContent.image.url)) return { success:false, jid, error:'File not found', skipped:true };
-          const raw = fs.readFileSync(messageContent.image.url);
-          let buf = raw, mime;
-          try { const { buffer, mimetype } = await normaliseImage(raw); buf = buffer; mime = mimetype; } catch {}
-          const payload = { image: buf, caption: withFooter(messageContent.caption || '') };
-          if (mime) payload.mimetype = mime;
-          await sendToOneWithRetry(sock, jid, payload);
+          if (!mediaSourceExists(messageContent)) return { success:false, jid, error:'File not found', skipped:true };
+          const caption = CAPTION_KINDS.has(mediaKind)
+            ? renderForGroup(username, job.category, jid, variantText(messageContent, variantFor(jid)), footer, `${job.id}:${jid}`)
+            : undefined;
+          // every relay goes through the same timeout/retry as text sends
+          sentMsg = await sendPreparedMedia(sock, username, job.id, jid, messageContent, caption, contextInfo,
+            (relay) => sendToOneWithRetry(sock, jid, () => {
+              if (!USERSG()[username]?.socketActive) throw new Error('SOCKET_NOT_OPEN');
+              return relay();
+            }, username));
         }
-        return { success:true, jid };
+        return { success:true, jid, key: sentMsg?.key || null, mentioned: mentions?.length || 0, mentionSkip };
       } catch (e) {
         return { success:false, jid, error:String(e?.message||e) };
       }
@@ -496,10 +803,26 @@ async function sendInBatches(sock, username, from, jids, messageContent, jobId)
     const results = await Promise.allSettled(batchPromises);
     results.forEach(r => {
       if (r.status === 'fulfilled') {
-        if (r.value.success) sent++;
-        else { r.value.skipped ? skipped++ : failed++; errors.push(r.value); }
+        const { jid, success, skipped: wasSkipped, error, key, mentioned, mentionSkip } = r.value;
+        if (success) {
+          sent++;
+          if (mentioned) mentionedGroups++;
+          if (mentionSkip) mentionSkips.push({ jid, reason: mentionSkip });
+        } else { wasSkipped ? skipped++ : failed++; errors.push(r.value); }
+        recordResult(username, job, jid, success
+          ? { status: 'sent', messageId: key?.id || null, key, delivery: { status: 'pending', delivered: [], read: [] },
+              ...(mentioned ? { mentioned } : {}), ...(mentionSkip ? { mentionSkip } : {}),
+              ...(variantFor(jid) ? { variant: variantFor(jid) } : {}) }
+          : { status: wasSkipped ? 'skipped' : 'failed', error });
+        if (success) trackSentMessage(username, job.id, jid, key);
       } else failed++;
     });
+    saveJob(username, job);
+
+    emitEvent(username, 'progress', {
+      jobId: job.id, batch: batchNum, totalBatches, sent, failed, skipped,
+      total: remaining.length, alreadySent, status: 'running'
+    });
 
     const uNow = USERSG()[username] || {};
     const shouldPost =
@@ -515,18 +838,40 @@ async function sendInBatches(sock, username, from, jids, messageContent, jobId)
     }
 
     const hasFatal = errors.some(e => /SOCKET_NOT_OPEN|Connection Closed|stream closed/i.test(e.error));
-    if (hasFatal) break;
-
-    // NEW: wait message between batches
-    const moreLeft = (batchStart + BATCH_SIZE) < jids.length;
-    if (moreLeft) {
-      await sendSys(username, sock, from, { text: `⏳ Please wait ${waitSecs}s before next batch…` }).catch(()=>{});
-      await sleep(BATCH_INTERVAL_MS);
+    if (hasFatal) { interrupted = true; break; }
+
+    // NEW: wait message between batches (interval widens after rate limits)
+    if (idx < targets.length) {
+      const next = planBatch(username, { contacts: idx >= firstContact });
+      const waitSecs = Math.max(1, Math.round(next.intervalMs / 1000));
+      const slowed = next.penalty ? ' (slowed down after rate limits)' : '';
+      await sendSys(username, sock, from, { text: `⏳ Please wait ${waitSecs}s before next batch…${slowed}` }).catch(()=>{});
+      await sleep(next.intervalMs);
     }
   }
 
+  // Interrupted, paused and deferred jobs stay resumable; everything else is final
+  if (interrupted) {
+    setJobStatus(username, job, job.pausedAt ? 'paused' : 'interrupted');
+  } else if (deferred && stillMine()) {
+    job.resumeAt = deferred.until;
+    job.heldBy = deferred.reason === 'window' ? 'window' : 'limits';
+    setJobStatus(username, job, 'deferred');
+    scheduleDeferredResume(username, deferred.until);
+  } else {
+    job.pausedAt = null;
+    setJobStatus(username, job, stillMine() && !pauseExpired ? 'completed' : 'cancelled');
+    releaseJobMedia(username, job);
+  }
+
+  emitEvent(username, 'progress', {
+    jobId: job.id, batch: batchNum, sent, failed, skipped,
+    total: remaining.length, alreadySent, status: job.status,
+    ...(job.resumeAt && job.status === 'deferred' ? { resumeAt: job.resumeAt } : {})
+  });
+
   const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
-  const successRate = jids.length ? Math.round((sent/jids.length) * 100) : 0;
+  const successRate = remaining.length ? Math.round((sent/remaining.length) * 100) : 0;
   const report = [
     `📊 Broadcast Complete (${totalTime}s):`,
     `✅ Sent: ${sent}`,
@@ -534,6 +879,35 @@ async function sendInBatches(sock, username, from, jids, messageContent, jobId)
     `⭐ Skipped: ${skipped}`,
     `📈 Success Rate: ${successRate}%`
   ];
+  if (alreadySent) report.push(`♻️ Resumed: ${alreadySent} group(s) already had it`);
+  const adminsOnly = unsendable.filter(x => x.reason === 'announce-only')
+    .map(x => u?.allGroups?.[x.jid]?.name || x.jid);
+  if (adminsOnly.length) {
+    const shown = adminsOnly.slice(0, 10).join(', ');
+    report.push(`🔒 Skipped ${adminsOnly.length} admins-only group(s): ${shown}${adminsOnly.length > 10 ? ', …' : ''}`);
+  }
+  if (pauseExpired) report.push(`⏹️ Cancelled: paused for longer than ${Math.round(pauseTimeoutOf(job) / 60000)} min`);
+  if (job.status === 'paused') report[0] = `📊 Broadcast paused, connection lost (${totalTime}s):`;
+  if (job.status === 'deferred' && deferred.reason === 'window') {
+    report[0] = `📊 Broadcast held by send window (${totalTime}s):`;
+    report.push(`🌙 Outside ${formatWindow(deferred.window)} — ${remainingJids(job).length} group(s) held until ${formatLocal(deferred.until, deferred.window.tz)}.`);
+  } else if (job.status === 'deferred') {
+    const at = new Date(deferred.until).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+    report[0] = `📊 Broadcast paused by send limits (${totalTime}s):`;
+    report.push(`⏸️ ${per(deferred.reason)} limit of ${deferred.limit} reached — ${remainingJids(job).length} group(s) deferred until ${at}.`);
+  }
+  if (mentionPolicy) {
+    const why = Array.from(new Set(mentionSkips.map(m => m.reason))).join(', ');
+    report.push(`📣 Mentioned everyone in ${mentionedGroups} group(s)` +
+      (mentionSkips.length ? `; plain send in ${mentionSkips.length} (${why})` : ''));
+  }
+  if (job.variantOf) {
+    const split = (messageContent.variants || [])
+      .map(v => `${v.id} ${Object.values(job.variantOf).filter(id => id === v.id).length}`).join(' · ');
+    report.push(`🅥 Variants: ${split} (compare in /report ${job.id})`);
+  }
+  const breakdown = formatBreakdown(job);
+  if (breakdown) report.push(breakdown, `🔁 /retryfailed ${job.id} re-sends to just those groups.`);
   await sendSys(username, sock, from, { text: report.join('\n') }).catch(()=>{});
 
   const uEnd = USERSG()[username];
@@ -541,6 +915,795 @@ async function sendInBatches(sock, username, from, jids, messageContent, jobId)
   clearCancel(uEnd || u);
 }
 
+// "🔎 Why: timeout 3 · not admin 2" over the job's failed + skipped groups
+function formatBreakdown(job) {
+  const parts = Object.entries(failureBreakdown(job))
+    .sort((a, b) => b[1] - a[1])
+    .map(([reason, n]) => `${FAILURE_LABELS[reason] || reason} ${n}`);
+  return parts.length ? `🔎 Why: ${parts.join(' · ')}` : '';
+}
+
+function per(reason) {
+  return { minute: 'Per-minute', hour: 'Hourly', day: 'Daily' }[reason] || 'Send';
+}
+
+// One timer per user, armed for the earliest deferred job
+function scheduleDeferredResume(username, at) {
+  const u = USERSG()[username];
+  if (!u) return;
+  if (u.deferTimer && u.deferAt && u.deferAt <= at) return;
+  if (u.deferTimer) clearTimeout(u.deferTimer);
+  u.deferAt = at;
+  u.deferTimer = setTimeout(() => {
+    u.deferTimer = null; u.deferAt = 0;
+    // a sleeping session is woken; the queue runs again once the connection opens
+    if (!u.socketActive || !u.sock) return void wakeSession(username);
+    if (u.broadcastJobId) return scheduleDeferredResume(username, Date.now() + 60_000);
+    runJobQueue(username, u.sock);
+  }, Math.max(1000, at - Date.now()));
+}
+
+/* ---------------------------- pause / resume ---------------------------- */
+
+function pauseTimeoutOf(job) {
+  return job.pauseTimeoutMs || PAUSE_TIMEOUT_MS;
+}
+
+// Holds the send loop until the job is resumed, cancelled, times out or loses its socket
+async function waitWhilePaused(username, sock, from, job, stillMine) {
+  setJobStatus(username, job, 'paused');
+  const mins = Math.round(pauseTimeoutOf(job) / 60000);
+  await sendSys(username, sock, from, {
+    text: `⏸️ Broadcast paused (${remainingJids(job).length} group(s) left). /resume to continue; auto-cancels after ${mins} min.`
+  }).catch(()=>{});
+
+  while (job.pausedAt) {
+    const u = USERSG()[username];
+    if (!stillMine()) return 'cancelled';
+    if (!u?.socketActive || u.sock !== sock) return 'socket';
+    if (Date.now() - job.pausedAt >= pauseTimeoutOf(job)) return 'timeout';
+    await sleep(1000);
+  }
+  setJobStatus(username, job, 'running');
+  await sendSys(username, sock, from, { text: '▶️ Broadcast resumed.' }).catch(()=>{});
+  return 'resumed';
+}
+
+// Paused jobs that are not attached to a running loop (e.g. after a reconnect)
+function parkedPausedJobs(username) {
+  const u = USERSG()[username] || {};
+  return listUnfinishedJobs(username).filter(j => j.status === 'paused' && j.id !== u.broadcastJobId);
+}
+
+// Cancels a parked paused job once its pause timeout runs out
+function schedulePauseExpiry(username, job) {
+  const u = USERSG()[username];
+  if (!u) return;
+  if (u.pauseTimer) clearTimeout(u.pauseTimer);
+  u.pauseTimer = setTimeout(() => {
+    u.pauseTimer = null;
+    const current = getJob(username, job.id);
+    if (!current?.pausedAt || current.status !== 'paused') return;
+    cancelParkedJob(username, current);
+    if (u.socketActive && u.sock) {
+      sendSys(username, u.sock, u.ownerJid || current.from, {
+        text: `⏹️ Paused broadcast ${current.id} cancelled after ${Math.round(pauseTimeoutOf(current) / 60000)} min.`
+      }).catch(()=>{});
+      runJobQueue(username, u.sock);
+    }
+  }, Math.max(1000, job.pausedAt + pauseTimeoutOf(job) - Date.now()));
+}
+
+function cancelParkedJob(username, job) {
+  job.pausedAt = null;
+  setJobStatus(username, job, 'cancelled');
+  releaseJobMedia(username, job);
+}
+
+// Pauses the running broadcast. Returns the job, or throws when there is nothing to pause.
+function pauseBroadcast(username, { timeoutMs } = {}) {
+  const u = USERSG()[username];
+  const job = u?.broadcastJobId && getJob(username, u.broadcastJobId);
+  if (!job || isJobDone(job)) throw new Error('Nothing to pause: no broadcast is running');
+  if (job.pausedAt) throw new Error(`Broadcast ${job.id} is already paused`);
+  job.pausedAt = Date.now();
+  if (timeoutMs > 0) job.pauseTimeoutMs = timeoutMs;
+  saveJob(username, job);
+  return job;
+}
+
+// Resumes the paused broadcast, live or parked. Returns the job, or throws.
+function resumeBroadcast(username) {
+  const u = USERSG()[username];
+  const live = u?.broadcastJobId && getJob(username, u.broadcastJobId);
+  if (live?.pausedAt) {
+    live.pausedAt = null;
+    saveJob(username, live);
+    return live;
+  }
+  const parked = parkedPausedJobs(username)[0];
+  if (!parked) throw new Error('Nothing to resume: no broadcast is paused');
+  if (u?.pauseTimer) { clearTimeout(u.pauseTimer); u.pauseTimer = null; }
+  parked.pausedAt = null;
+  setJobStatus(username, parked, 'interrupted');
+  if (u?.socketActive && u.sock) runJobQueue(username, u.sock); // otherwise on next connect
+  return parked;
+}
+
+// /stop and /admin/cancel also drop a paused job that no loop is holding
+function cancelPausedJobs(username) {
+  const jobs = parkedPausedJobs(username);
+  for (const job of jobs) cancelParkedJob(username, job);
+  const u = USERSG()[username];
+  if (jobs.length && u?.pauseTimer) { clearTimeout(u.pauseTimer); u.pauseTimer = null; }
+  return jobs.length;
+}
+
+/* ------------------------------ job queue ------------------------------- */
+
+// Targets for a category name or '__ALL__'
+function categoryJids(username, category) {
+  const u = USERSG()[username] || {};
+  const list = category === '__ALL__' ? Object.keys(u.allGroups || {}) : (u.categories?.[category] || []);
+  return (list || []).filter(Boolean);
+}
+
+const waiters = new Map(); // jobId -> [resolve] for callers waiting on a queued job's run
+
+function settleWaiters(jobId, job) {
+  const list = waiters.get(jobId);
+  if (!list) return;
+  waiters.delete(jobId);
+  for (const resolve of list) resolve(job);
+}
+
+// Adds a broadcast to the user's queue (chat, API and scheduler all come through here).
+// Returns { job, position, finished }: position = jobs ahead of it, finished resolves after its run.
+function enqueueBroadcast(username, { id, from, jids, content: rawContent, category = null, priority, source, urgent }) {
+  const u = USERSG()[username] || {};
+  const content = applyMentionToken(rawContent);
+  const position = pendingJobs(username).length;
+  const job = createJob(username, { id, from: from || u.ownerJid, jids, content, category, priority, source, urgent });
+  if (position) { job.queuedBehind = position; saveJob(username, job); }
+  const finished = new Promise(resolve => {
+    waiters.set(job.id, [...(waiters.get(job.id) || []), resolve]);
+  });
+  console.log(`[${username}] Queued job ${job.id} (${source || 'chat'}, priority ${job.priority}, ${position} ahead)`);
+  return { job, position, finished };
+}
+
+// Starts the queue runner if the account is online (otherwise it runs on the next connect)
+function kickQueue(username) {
+  const u = USERSG()[username];
+  if (u?.socketActive && u.sock) runJobQueue(username, u.sock);
+  else if (u && !u.connecting) wakeSession(username);
+}
+
+// Queued jobs, in the order they will run
+function queuedJobs(username) {
+  return pendingJobs(username).filter(j => j.status === 'queued');
+}
+
+// Drops the n-th (1-based) queued job. Returns it, or null.
+function dequeueJob(username, n) {
+  const job = queuedJobs(username)[n - 1];
+  if (!job) return null;
+  setJobStatus(username, job, 'cancelled');
+  releaseJobMedia(username, job);
+  settleWaiters(job.id, job);
+  return job;
+}
+
+function describeJob(username, job) {
+  const kind = mediaKindOf(job.content) || (job.content?.poll ? 'poll' : 'text');
+  const target = !job.category || job.category === '__ALL__' ? 'ALL' : job.category;
+  const raw = job.content?.text ?? job.content?.caption ?? job.content?.poll?.name ?? '';
+  const snippet = raw ? ` "${raw.length > 30 ? raw.slice(0, 30) + '…' : raw}"` : '';
+  const prio = job.priority > 0 ? ' ⬆️' : job.priority < 0 ? ' ⬇️' : '';
+  const name = job.jids.length === 1 ? targetName(username, job.jids[0]) : `${job.jids.length} targets`;
+  return `${kind}${snippet} → ${target} (${name}, ${job.source || 'chat'})${prio}`;
+}
+
+// API entry point: queue it and kick the runner
+function startBroadcast(username, { jids, content, category = null, priority, source = 'api', urgent }) {
+  const { job, position } = enqueueBroadcast(username, { jids, content, category, priority, source, urgent });
+  kickQueue(username);
+  return { jobId: job.id, position };
+}
+
+// Latest finished broadcast with groups that did not get it
+function latestJobWithFailures(username) {
+  const jobs = listJobs(username);
+  for (let i = jobs.length - 1; i >= 0; i--) {
+    if (isJobDone(jobs[i]) && failedResults(jobs[i]).length) return jobs[i];
+  }
+  return null;
+}
+
+// Queues the original payload again for only the failed + skipped groups of a job.
+// Throws when the job is unknown, still going, or has nothing to retry.
+function retryFailedGroups(username, jobId, { from, source = 'retry' } = {}) {
+  const job = jobId && jobId !== 'latest' ? getJob(username, jobId) : latestJobWithFailures(username);
+  if (!job) throw new Error(jobId && jobId !== 'latest' ? `No broadcast with id ${jobId}` : 'No broadcast with failed groups');
+  if (!isJobDone(job)) throw new Error(`Broadcast ${job.id} is still ${job.status}`);
+  // contacts who replied STOP stay out
+  const jids = failedResults(job).filter(f => f.reason !== 'opted-out').map(f => f.jid);
+  if (!jids.length) throw new Error(`Broadcast ${job.id} has no failed groups`);
+  if (mediaKindOf(job.content) && !mediaSourceExists(job.content)) {
+    throw new Error(`The media from ${job.id} is gone (tmp files are swept after 24h); send it again`);
+  }
+
+  const queued = enqueueBroadcast(username, { from, jids, content: job.content, category: job.category, source });
+  queued.job.retryOf = job.id;
+  saveJob(username, queued.job);
+  kickQueue(username);
+  return { ...queued, original: job };
+}
+
+// /variant texts ride along with the next chat broadcast (text or caption only)
+function applyPendingVariants(u, content) {
+  if (!u.pendingVariants?.length || content.poll) return content;
+  const kind = mediaKindOf(content);
+  if (kind && !CAPTION_KINDS.has(kind)) return content;
+  const base = content.text !== undefined ? content.text : (content.caption || '');
+  return { ...content, variants: buildVariants(base, u.pendingVariants, u.variantWeights || []) };
+}
+
+// Chat entry point: queue it, say whether it starts now or waits, kick the runner
+async function queueFromChat(username, sock, chatJid, { jids, content: rawContent, category, startText }) {
+  const u = USERSG()[username] || {};
+  const flagged = u.mentionNext && !rawContent.poll ? { ...rawContent, mentionAll: true } : rawContent;
+  const content = applyPendingVariants(u, applyMentionToken(flagged));
+  const urgent = !!u.urgentNext;
+  u.mentionNext = false; u.urgentNext = false;
+  u.pendingVariants = null; u.variantWeights = null;
+  const { position, finished } = enqueueBroadcast(username, { from: chatJid, jids, content, category, source: 'chat', urgent });
+  const text = position
+    ? `🕒 Queued for ${jids.length} group(s), ${position} job(s) ahead. /queue to see the line.`
+    : startText;
+  await sendSys(username, sock, chatJid, { text });
+  kickQueue(username);
+  return finished;
+}
+
+/* ------------------------------- preview -------------------------------- */
+
+const SKIP_LABELS = {
+  missing: 'not in your group list (rescan?)',
+  'announce-only': 'admins-only group, not admin',
+  duplicate: 'duplicate in target list',
+  'opted-out': 'contact replied STOP'
+};
+
+// Resolves + renders a broadcast exactly like sendInBatches, without sending
+function previewBroadcast(username, jids, rawContent, opts = {}) {
+  const u = USERSG()[username] || {};
+  const messageContent = applyPendingVariants(u,
+    applyMentionToken(u.mentionNext && !rawContent.poll ? { ...rawContent, mentionAll: true } : rawContent));
+  const category = opts.category || null;
+  const { targets, skipped, overlaps } = resolveTargets(username, jids, category);
+  const footer = resolveFooter(getSettings(username), category);
+  const kind = mediaKindOf(messageContent);
+  const sampleJid = targets[0] || null;
+  const raw = messageContent.text !== undefined ? messageContent.text : (messageContent.caption || '');
+  const name = (jid) => targetName(username, jid);
+  return {
+    category,
+    kind: kind || (messageContent.poll ? 'poll' : 'text'),
+    total: (jids || []).length,
+    sendable: targets.length,
+    targets: targets.map(jid => ({ jid, name: name(jid) })),
+    skipped: skipped.map(s => ({ ...s, name: name(s.jid) })),
+    overlaps: overlaps.map(o => ({ ...o, name: name(o.jid) })),
+    mediaMissing: !!kind && !mediaSourceExists(messageContent),
+    // expected split over the sendable targets; the real send seeds it by job id
+    variants: messageContent.variants ? (() => {
+      const split = assignVariants(targets, messageContent.variants, 'preview');
+      return messageContent.variants.map(v => ({ id: v.id, text: v.text, targets: Object.values(split).filter(id => id === v.id).length }));
+    })() : null,
+    spintax: [raw, ...(messageContent.variants || []).map(v => v.text)].some(hasSpintax),
+    window: (() => {
+      const win = windowFor(username, category);
+      const state = windowState(win);
+      return win ? { ...win, open: state.open, opensAt: state.opensAt || null } : null;
+    })(),
+    // group sizes from the last scan; the real send re-checks live membership
+    mentions: messageContent.mentionAll && !messageContent.poll ? (() => {
+      const policy = getMentionPolicy(username);
+      const skipped = targets
+        .map(jid => ({ jid, name: name(jid), reason: mentionBlocker(policy, category, u.allGroups?.[jid]?.participantCount || 0) }))
+        .filter(x => x.reason);
+      return { groups: targets.length - skipped.length, skipped };
+    })() : null,
+    sample: !sampleJid ? null
+      : messageContent.poll ? { jid: sampleJid, name: name(sampleJid), text: pollSummary(messageContent.poll) }
+      : (messageContent.text !== undefined || CAPTION_KINDS.has(kind))
+        ? { jid: sampleJid, name: name(sampleJid), text: renderForGroup(username, category, sampleJid, raw, footer) }
+        : null
+  };
+}
+
+// Sends the owner the preview summary plus one rendered sample
+async function sendPreview(username, sock, chatJid, preview, messageContent) {
+  const u = USERSG()[username] || {};
+  const label = preview.category === '__ALL__' ? 'ALL groups' : (preview.category || 'selected groups');
+  const lines = [
+    `🔍 *Preview* — ${preview.kind} to ${label} (nothing sent)`,
+    `Would send: ${preview.sendable}/${preview.total} group(s)`
+  ];
+  if (preview.mediaMissing) lines.push('⚠️ Media file is missing — resend it before broadcasting.');
+  if (preview.window && !preview.window.open) {
+    lines.push(`🌙 Outside ${formatWindow(preview.window)} — would be held until ${formatLocal(preview.window.opensAt, preview.window.tz)} (/urgent to skip).`);
+  }
+  if (preview.mentions) {
+    lines.push(`📣 Mentions everyone in ${preview.mentions.groups} group(s)` +
+      (preview.mentions.skipped.length ? `, not in ${preview.mentions.skipped.length} (${Array.from(new Set(preview.mentions.skipped.map(s => s.reason))).join(', ')})` : ''));
+  }
+  if (preview.variants) lines.push(`🅥 Variants: ${preview.variants.map(v => `${v.id} ${v.targets}`).join(' · ')}`);
+  if (preview.spintax) lines.push('🎲 Spintax: each group gets its own {a|b} picks (sample shows one)');
+  if (preview.skipped.length) {
+    lines.push(`⏭️ Skipped: ${preview.skipped.length}`);
+    for (const s of preview.skipped.slice(0, MAX_NAMES_PER_CATEGORY)) lines.push(`  - ${s.name} (${SKIP_LABELS[s.reason] || s.reason})`);
+  }
+  if (preview.overlaps.length) {
+    lines.push(`🔁 Also in other categories: ${preview.overlaps.length}`);
+    for (const o of preview.overlaps.slice(0, MAX_NAMES_PER_CATEGORY)) lines.push(`  - ${o.name} (${o.categories.join(', ')})`);
+  }
+  lines.push('', preview.sample ? `Sample for *${preview.sample.name}* below ⬇️` : 'No sample (nothing sendable or no caption).');
+  await sendSys(username, sock, chatJid, { text: lines.join('\n') });
+
+  if (!preview.sample) return;
+  const kind = mediaKindOf(messageContent);
+  const sample = kind && preview.kind !== 'text'
+    ? { ...messageContent, caption: preview.sample.text }
+    : { text: preview.sample.text };
+  const res = await sendSys(username, sock, chatJid, sample).catch(() => null);
+  // the sample lands in the self-chat; never treat it as a new payload
+  if (res?.key?.id) (u.ignoreIds || (u.ignoreIds = new Set())).add(res.key.id);
+}
+
+/* ----------------------------- queue runner ----------------------------- */
+
+// Runs the user's jobs one after another: half-finished ones a restart/disconnect
+// cut short first, then queued ones by priority. One runner per user at a time.
+async function runJobQueue(username, sock) {
+  const u = USERSG()[username];
+  if (!u || u.runningQueue) return;
+  u.runningQueue = true;
+  try {
+    while (u.socketActive && u.sock === sock && !u.broadcastJobId && !u.revisingJobId) {
+      let job = null;
+      for (const candidate of pendingJobs(username)) {
+        if (candidate.status === 'deferred' && candidate.resumeAt > Date.now()) {
+          scheduleDeferredResume(username, candidate.resumeAt);
+          continue;
+        }
+        job = candidate;
+        break;
+      }
+      if (!job) break;
+
+      if (job.status === 'paused' && job.pausedAt) {
+        // still held: nothing behind it runs until /resume, /stop or the pause timeout
+        if (Date.now() - job.pausedAt < pauseTimeoutOf(job)) { schedulePauseExpiry(username, job); break; }
+        cancelParkedJob(username, job);
+        continue;
+      }
+
+      const from = u.ownerJid || job.from;
+      // outside its send window: held (jobs for other windows still run) until it opens
+      const win = job.urgent ? null : windowFor(username, job.category);
+      const winState = windowState(win);
+      if (!winState.open) {
+        await holdForWindow(username, sock, from, job, win, winState.opensAt);
+        continue;
+      }
+
+      const left = remainingJids(job).length;
+      if (job.status !== 'queued') {
+        console.log(`[${username}] Resuming job ${job.id} (${left}/${job.jids.length} left)`);
+        await sendSys(username, sock, from, {
+          text: `♻️ Resuming broadcast ${job.id}: ${left} of ${job.jids.length} group(s) left.`
+        }).catch(()=>{});
+      } else if (job.queuedBehind) {
+        await sendSys(username, sock, from, {
+          text: `▶️ Starting queued broadcast: ${describeJob(username, job)}`
+        }).catch(()=>{});
+      }
+
+      u.broadcastJobId = job.id; clearCancel(u);
+      try {
+        await sendInBatches(sock, username, from, job.jids, job.content, job.id, { category: job.category });
+      } catch (e) {
+        console.error(`[${username}] Job ${job.id} crashed: ${e?.message || e}`);
+        job.error = String(e?.message || e);
+      }
+      if (u.broadcastJobId === job.id) u.broadcastJobId = null;
+
+      // a run that bailed out before settling its status must not be picked again
+      const after = getJob(username, job.id) || job;
+      if (['queued', 'running'].includes(after.status)) {
+        setJobStatus(username, after, 'cancelled');
+        releaseJobMedia(username, after);
+      }
+      settleWaiters(job.id, after);
+      if (after.status === 'interrupted') break; // socket trouble: picked up again on reconnect
+    }
+  } catch (e) {
+    console.error(`[${username}] runJobQueue failed: ${e?.message || e}`);
+  } finally {
+    u.runningQueue = false;
+  }
+
+  // socket was replaced while a job was running: carry on with the new one
+  if (u.socketActive && u.sock && u.sock !== sock) runJobQueue(username, u.sock);
+}
+
+// Parks a job as deferred until its send window opens and tells the owner
+async function holdForWindow(username, sock, from, job, win, opensAt) {
+  job.resumeAt = opensAt;
+  job.heldBy = 'window';
+  setJobStatus(username, job, 'deferred');
+  scheduleDeferredResume(username, opensAt);
+  console.log(`[${username}] Holding job ${job.id} until ${new Date(opensAt).toISOString()} (send window ${formatWindow(win)})`);
+  await sendSys(username, sock, from, {
+    text: `🌙 Held until ${formatLocal(opensAt, win.tz)}: ${describeJob(username, job)} is outside its send window (${formatWindow(win)}). /windows release sends it now.`
+  }).catch(()=>{});
+}
+
+// Jobs waiting for a send window to open
+function windowHeldJobs(username) {
+  return pendingJobs(username).filter(j => j.status === 'deferred' && j.heldBy === 'window');
+}
+
+// Urgent override for everything held by a window: marks them urgent and runs them now
+function releaseWindowHeld(username) {
+  const held = windowHeldJobs(username);
+  for (const job of held) {
+    job.urgent = true;
+    job.resumeAt = Date.now();
+    saveJob(username, job);
+  }
+  if (held.length) kickQueue(username);
+  return held;
+}
+
+/* --------------------------- delivery report ---------------------------- */
+
+function formatDeliveryReport(username, job) {
+  const u = USERSG()[username] || {};
+  const { totals, groups } = buildDeliveryTable(job, u.allGroups || {});
+  const lines = [
+    `📬 *Delivery report* (job ${job.id}, ${job.status})`,
+    `Groups sent: ${groups.length}/${job.jids.length}`,
+    `⏳ Pending: ${totals.pending} | ☁️ Server: ${totals['server-ack']} | 📥 Delivered: ${totals.delivered} | 👀 Read: ${totals.read}`
+  ];
+  if (totals.error) lines.push(`⚠️ Errors: ${totals.error}`);
+  const breakdown = formatBreakdown(job);
+  if (breakdown) lines.push(breakdown);
+  const variants = variantSummary(job, listInbox(username, Infinity));
+  if (variants) lines.push(formatVariantSummary(variants));
+  const shown = groups.slice(0, MAX_NAMES_PER_CATEGORY);
+  for (const g of shown) {
+    lines.push(`• ${g.name} — ${g.status} (📥${g.deliveredCount} 👀${g.readCount})`);
+  }
+  if (groups.length > shown.length) lines.push(`... (+${groups.length - shown.length} more)`);
+  return lines.join('\n');
+}
+
+/* ---------------------------- unsend / edit ----------------------------- */
+
+// WhatsApp refuses edits / revokes past these ages
+const EDIT_WINDOW_MS   = 15 * 60 * 1000;
+const REVOKE_WINDOW_MS = 2 * 24 * 60 * 60 * 1000;
+const JOB_ID_RE = /^\d{13}-[a-z0-9]{6}$/;
+
+// Latest broadcast that actually reached at least one group
+function latestSentJob(username) {
+  const jobs = listJobs(username);
+  for (let i = jobs.length - 1; i >= 0; i--) {
+    if (Object.values(jobs[i].results || {}).some(r => r.status === 'sent' && r.key)) return jobs[i];
+  }
+  return null;
+}
+
+function findJobForRevision(username, jobId) {
+  return jobId && jobId !== 'latest' ? getJob(username, jobId) : latestSentJob(username);
+}
+
+// Why an unsend/edit can't start right now, or null
+function revisionBlocker(username) {
+  const u = USERSG()[username];
+  if (!u?.sock || !u.socketActive) return 'User socket not connected';
+  if (u.broadcastJobId) return `Broadcast ${u.broadcastJobId} is still running`;
+  if (u.revisingJobId) return `Already updating broadcast ${u.revisingJobId}`;
+  return null;
+}
+
+// Applies a revoke ('unsend') or an edit to every group the job reached.
+// Paced by the governor like the original send; returns { total, done, failed: [{ jid, error }] }.
+async function reviseBroadcast(sock, username, job, action, text = '') {
+  const u = USERSG()[username];
+  const blocked = revisionBlocker(username);
+  if (blocked) throw new Error(blocked);
+  if (action === 'edit' && !String(text).trim()) throw new Error('Edit text is empty');
+
+  const window = action === 'edit' ? EDIT_WINDOW_MS : REVOKE_WINDOW_MS;
+  const kind = mediaKindOf(job.content);
+  if (action === 'edit' && kind && !CAPTION_KINDS.has(kind)) throw new Error(`A ${kind} has no caption to edit`);
+  if (action === 'edit' && job.content?.poll) throw new Error('Polls cannot be edited; /unsend and send a new one');
+  const footer = resolveFooter(getSettings(username), job.category);
+  const failed = [];
+  const targets = [];
+  for (const jid of job.jids) {
+    const r = job.results?.[jid];
+    if (r?.status !== 'sent' || !r.key || r.revokedAt) continue;
+    if (Date.now() - (r.at || 0) > window) failed.push({ jid, error: `${action} window passed` });
+    else targets.push(jid);
+  }
+  const total = targets.length + failed.length;
+
+  u.revisingJobId = job.id;
+  clearCancel(u);
+  let done = 0, idx = 0;
+  try {
+    while (idx < targets.length) {
+      if (isCancelled(u)) { // /stop
+        for (const jid of targets.slice(idx)) failed.push({ jid, error: 'cancelled' });
+        break;
+      }
+      if (!u.socketActive || u.sock !== sock) {
+        for (const jid of targets.slice(idx)) failed.push({ jid, error: 'connection lost' });
+        break;
+      }
+      const quota = checkQuota(username);
+      if (quota.waitMs) {
+        if (!quota.inline) {
+          for (const jid of targets.slice(idx)) failed.push({ jid, error: `${per(quota.reason).toLowerCase()} send limit reached` });
+          break;
+        }
+        await sleep(quota.waitMs);
+        continue;
+      }
+
+      const plan = planBatch(username);
+      const batch = targets.slice(idx, idx + Math.min(plan.batchSize, quota.remaining));
+      idx += batch.length;
+
+      const results = await Promise.allSettled(batch.map(async (jid) => {
+        const key = job.results[jid].key;
+        const payload = action === 'edit'
+          ? { text: renderForGroup(username, job.category, jid, text, footer), edit: key }
+          : { delete: key };
+        await sendToOneWithRetry(sock, jid, payload, username);
+        return jid;
+      }));
+      results.forEach((r, i) => {
+        const jid = batch[i];
+        if (r.status === 'rejected') return failed.push({ jid, error: String(r.reason?.message || r.reason) });
+        done++;
+        const res = job.results[jid];
+        if (action === 'edit') { res.editedAt = Date.now(); res.editedText = text; }
+        else res.revokedAt = Date.now();
+      });
+      saveJob(username, job);
+
+      if (idx < targets.length) await sleep(plan.intervalMs);
+    }
+  } finally {
+    u.revisingJobId = null;
+    job.revisions = [...(job.revisions || []), {
+      action,
+      at: Date.now(),
+      text: action === 'edit' ? text : undefined,
+      total,
+      done,
+      failed
+    }];
+    saveJob(username, job);
+  }
+  return { total, done, failed };
+}
+
+function formatRevisionReport(username, job, action, outcome) {
+  const u = USERSG()[username] || {};
+  const title = action === 'edit' ? '✏️ *Edit*' : '🗑️ *Unsend*';
+  const lines = [`${title} (job ${job.id}): ${outcome.done}/${outcome.total} group(s) updated.`];
+  if (outcome.failed.length) {
+    lines.push(`❌ Could not update ${outcome.failed.length}:`);
+    const shown = outcome.failed.slice(0, MAX_NAMES_PER_CATEGORY);
+    for (const f of shown) lines.push(`• ${u.allGroups?.[f.jid]?.name || f.jid} — ${f.error}`);
+    if (outcome.failed.length > shown.length) lines.push(`... (+${outcome.failed.length - shown.length} more)`);
+  }
+  return lines.join('\n');
+}
+
+// Runs the revision and posts the report to the owner chat (chat + API entry point)
+async function runRevision(username, sock, chatJid, job, action, text) {
+  try {
+    const outcome = await reviseBroadcast(sock, username, job, action, text);
+    await sendSys(username, sock, chatJid, { text: formatRevisionReport(username, job, action, outcome) }).catch(()=>{});
+    return outcome;
+  } finally {
+    kickQueue(username); // broadcasts queued meanwhile
+  }
+}
+
+/* -------------------------------- inbox --------------------------------- */
+
+// Messages from other chats (groups, contacts) passed on by index.js
+async function handleExternalMessage(username, sock, msg) {
+  if (msg.key?.remoteJid?.endsWith('@g.us')) {
+    const item = captureInboxMessage(username, sock, msg, getContent(msg), getMessageText(msg));
+    if (item) scheduleInboxDigest(username);
+  } else if (await handleOptReply(username, sock, msg)) {
+    return;
+  }
+  await forwardFromSource(username, sock, msg);
+}
+
+/* ------------------------------- opt-out -------------------------------- */
+
+// A contact replying STOP (or START) in their own chat. Anyone is registered;
+// only contacts from our lists get a confirmation and an owner notice.
+async function handleOptReply(username, sock, msg) {
+  const u = USERSG()[username] || {};
+  const chat = msg.key?.remoteJid;
+  if (!chat || msg.key.fromMe || !isContactJid(chat)) return false;
+  const keyword = optKeyword(getMessageText(msg));
+  if (!keyword) return false;
+
+  const ids = [chat, msg.key.senderPn, msg.key.remoteJidAlt].filter(Boolean).map(normaliseJid).filter(isContactJid);
+  const listed = new Set(Object.values(contactLists(username)).flatMap(l => l.contacts));
+  const known = ids.find(id => listed.has(id));
+  const changed = keyword === 'stop' ? optOut(username, ids) : optIn(username, ids);
+  if (!changed) return true;
+  console.log(`[${username}] ${ids.join(' / ')} replied ${keyword.toUpperCase()}`);
+  if (!known) return true;
+
+  const confirm = keyword === 'stop'
+    ? "You've been unsubscribed and won't receive further broadcasts from us. Reply START to opt back in."
+    : "You're subscribed again. Reply STOP at any time to opt out.";
+  await sendSys(username, sock, chat, { text: confirm }).catch(()=>{});
+  if (u.ownerJid) {
+    const who = `${contactName(username, known)} (${formatNumber(known)})`;
+    const text = keyword === 'stop'
+      ? `🚫 ${who} replied STOP — they won't get any more broadcasts.`
+      : `✅ ${who} replied START — back on your contact lists.`;
+    await sendSys(username, sock, u.ownerJid, { text }).catch(()=>{});
+  }
+  return true;
+}
+
+function scheduleInboxDigest(username) {
+  const u = USERSG()[username];
+  if (!u || u.inboxTimer) return;
+  u.inboxTimer = setTimeout(async () => {
+    u.inboxTimer = null;
+    if (!u.socketActive || !u.sock || !u.ownerJid) return; // stays unnotified for the next digest
+    const items = takeUnnotified(username);
+    if (!items.length) return;
+    const lines = [`📥 *Inbox* — ${items.length} new:`, ...items.map(formatInboxItem), '', 'Answer with /reply <n> <text>'];
+    await sendSys(username, u.sock, u.ownerJid, { text: lines.join('\n') }).catch(()=>{});
+  }, INBOX_DIGEST_MS);
+}
+
+/* ----------------------------- forwarding ------------------------------- */
+
+const FORWARD_SEEN_MAX = 500;
+
+// Group name / JID or contact number → { jid, name }, or null
+function resolveForwardSource(username, input) {
+  const u = USERSG()[username] || {};
+  const contact = contactJid(input);
+  if (contact) return { jid: normaliseJid(contact), name: String(input).trim() };
+  const [jid] = resolveToJids(username, [input]);
+  return jid ? { jid, name: u.allGroups?.[jid]?.name || jid } : null;
+}
+
+// Broadcast payload for a source post (text, media, poll), or null for unsupported types
+async function buildForwardContent(username, sock, msg) {
+  const content = getContent(msg);
+  const pollNode = content.pollCreationMessage || content.pollCreationMessageV2 || content.pollCreationMessageV3;
+  if (pollNode) {
+    try {
+      return buildPollContent({
+        name: pollNode.name,
+        values: (pollNode.options || []).map(o => o.optionName),
+        selectableCount: pollNode.selectableOptionsCount
+      });
+    } catch { return null; }
+  }
+  const media = getMediaInfo(content);
+  if (media) {
+    const buffer = await safeDownloadMedia(msg, sock, 3, 3000);
+    if (!buffer?.length) return null;
+    const up = getUserPaths(username);
+    ensureDir(up.tmp);
+    const filePath = path.join(up.tmp, `fwd_${media.kind}_${Date.now()}.${mediaExtension(media)}`);
+    fs.writeFileSync(filePath, buffer);
+    return buildMediaContent({ ...media, filePath });
+  }
+  const text = getMessageText(msg);
+  return text ? { text } : null;
+}
+
+// Relays a new post from a watched source chat to each matching rule's category.
+// Loop protection: our own messages (fromMe, or ids we sent) are never sources,
+// the source is never a target, and each message id is forwarded once.
+async function forwardFromSource(username, sock, msg) {
+  const u = USERSG()[username];
+  const src = msg.key?.remoteJid;
+  if (!u || !src || msg.key.fromMe) return;
+  // contacts may show up under their LID; the phone-number JID rides along as senderPn
+  const sourceIds = [src, msg.key.senderPn, msg.key.remoteJidAlt].filter(Boolean).map(normaliseJid);
+  const rules = sourceIds.flatMap(id => rulesForSource(username, id));
+  if (!rules.length) return;
+  if (findSentMessage(username, msg.key.id)) return;
+
+  const seen = u.forwardSeen || (u.forwardSeen = new Set());
+  if (seen.has(msg.key.id)) return;
+  seen.add(msg.key.id);
+  if (seen.size > FORWARD_SEEN_MAX) seen.delete(seen.values().next().value);
+
+  const content = getContent(msg);
+  const text = getMessageText(msg) || content.pollCreationMessage?.name || content.pollCreationMessageV3?.name || '';
+  const matching = rules.filter(r => matchesKeywords(r, text));
+  if (!matching.length) return;
+
+  const payload = await buildForwardContent(username, sock, msg);
+  if (!payload) return;
+
+  // each job owns its tmp file (releaseJobMedia deletes it when that job is done),
+  // so every rule after the first gets a copy
+  const mediaKind = mediaKindOf(payload);
+  const mediaFile = mediaKind ? payload[mediaKind].url : null;
+  const contentFor = (n) => {
+    if (!mediaFile || !n) return payload;
+    const copy = mediaFile.replace(/(\.[^./\\]+)?$/, `_${n}$1`);
+    fs.copyFileSync(mediaFile, copy);
+    return { ...payload, [mediaKind]: { ...payload[mediaKind], url: copy } };
+  };
+
+  const covered = new Set(sourceIds);
+  let enqueued = 0;
+  for (const rule of matching) {
+    const jids = categoryJids(username, rule.category).filter(j => !covered.has(j));
+    jids.forEach(j => covered.add(j));
+    if (!jids.length) continue;
+    const content = contentFor(enqueued++);
+    const { job, position } = enqueueBroadcast(username, {
+      jids,
+      content: rule.marker ? { ...content, forwarded: true } : content,
+      category: rule.category,
+      source: 'forward'
+    });
+    job.forwardedFrom = { jid: rule.source, name: rule.sourceName, messageId: msg.key.id, ruleId: rule.id };
+    saveJob(username, job);
+    console.log(`[${username}] Forwarding ${msg.key.id} from ${rule.sourceName} → ${rule.category} (${jids.length} groups, ${position} ahead)`);
+  }
+  if (!enqueued) {
+    if (mediaFile) { try { fs.unlinkSync(mediaFile); } catch {} }
+    return;
+  }
+  kickQueue(username);
+}
+
+/* -------------------------------- polls --------------------------------- */
+
+// Given poll job, or the latest one that was sent
+function findPollJob(username, jobId) {
+  if (jobId && jobId !== 'latest') {
+    const job = getJob(username, jobId);
+    return job?.content?.poll ? job : null;
+  }
+  const jobs = listJobs(username);
+  for (let i = jobs.length - 1; i >= 0; i--) {
+    if (jobs[i].content?.poll && Object.values(jobs[i].results || {}).some(r => r.status === 'sent')) return jobs[i];
+  }
+  return null;
+}
+
 /* --------------------------- inference helper --------------------------- */
 
 function pickCategoryFromText(text='') {
@@ -594,6 +1757,9 @@ async function handleBroadcastMessage(username, msg, sock) {
   // per-phone isolation (wipe state if phone changed)
   ensureOwnerConsistency(username, selfBare);
 
+  // our own preview samples etc.
+  if (msg.key?.id && u.ignoreIds?.has(msg.key.id)) return;
+
   // Ignore self system echoes, BUT allow commands anytime and digits during selection
   if (fromMe) {
     if (!body) return;
@@ -603,7 +1769,7 @@ async function handleBroadcastMessage(username, msg, sock) {
         '✅ Connected!', 'Text mode activated', 'Media mode activated',
         'Scanning groups', 'Choose a category', 'Bot Status:',
         'Broadcasting', 'Broadcast Complete', 'Done. Send another',
-        'Image saved', 'Cancelled', 'timed out', 'No groups found',
+        'Image saved', 'Media saved', 'Cancelled', 'timed out', 'No groups found',
         'Invalid category', 'Error: No valid content',
         '🤖 Auto-picked', 'Sending to ALL', 'Batch ',
         'Category "', 'Added to *', 'Removed from *',
@@ -612,12 +1778,25 @@ async function handleBroadcastMessage(username, msg, sock) {
         'Avoid spaces in category names', 'Usage: /addgroup', 'Usage: /delgroup',
         '*Categories:*', 'Hard reset', 'Fresh scan complete',
         'Your groups', 'Matches for', 'Quiet mode', 'Loud mode',
-        'Media mode active.', 'Try /help',
+        'Media mode active.', 'Try /help', 'Delivery report', 'Variables for',
+        'Footer for', 'Send limits', 'paused by send limits', 'Preview mode',
+        '*Preview*', '*Unsend*', '*Edit*', 'Broadcast paused', 'Broadcast resumed',
+        'Pausing broadcast', 'Resuming broadcast', 'Nothing to pause', 'Nothing to resume',
+        'already paused', 'Paused broadcast', '*Queue*', 'Queued for', 'from the queue',
+        'No queued job', 'Starting queued broadcast', '🔎 Why:',
+        'Poll ready', '*Poll results*', 'Usage: /poll', '*Inbox*', 'Replied in *',
+        'No inbox message', 'Usage: /reply', 'Usage: /inbox',
+        '*Forward rules*',
+        '*Mention-all*',
+        '*Contact list', '*Opted out',
+        '*Variants*', 'Variants cleared', 'Usage: /variant', 'variants per broadcast',
+        '*Send windows*',
         '✅ Selected',
         'Now type your message and send.'
       ];
       if (sysPhrases.some(t => body.includes(t))) return;
-      if (isRecentSysEcho(u, body)) return; // extra guard
+      if (hasKnownFooter(getSettings(username), body)) return; // our own broadcast echo
+      if (isRecentSysEcho(u, body)) return; // exact replies sendSys just sent
 
       // While waiting for a category, only let numeric replies pass through
       if (u.awaitingCategory) {
@@ -643,21 +1822,46 @@ async function handleBroadcastMessage(username, msg, sock) {
       '• /rescan — refresh groups (authoritative) & auto-categorise new ones',
       '• /cats — show categories & pick where to send',
       '• /text — switch to text mode (type message, then pick number)',
-      '• /media — switch to image mode',
+      '• /text! — same, but the next broadcast @-mentions every member (or put @all in any message)',
+      '• /mentions [max <n> | off|on <Category>] — limits for mention-all broadcasts',
+      '• /variant add <text> | ratio <A> <B> ... | list | clear — A/B texts for the next broadcast ({Hi|Hey} spintax works anywhere)',
+      '• /media — switch to media mode (image, video, document, voice note, sticker)',
       '• /addcategory <Name> — create a category (no spaces recommended)',
       '• /addgroup <Category> <GroupName|JID> — add group to category (fuzzy)',
-      '• /delgroup <Category> <GroupName|JID> — remove group',
+      '• /delgroup <Category> <GroupName|JID> — remove group (or a number from a contact list)',
+      '• /addcontact <number> [name] -> <List> — add a contact to a contact list (sent one at a time, STOP opts them out)',
+      '• /contacts [List|optouts] — contact lists, their members, or who replied STOP',
       '• /findgroup <text> — list matching groups with JIDs',
+      '• /vars <GroupName|JID> [key=value ...] — per-group {placeholders} for messages',
+      '• /footer [Category] on|off|reset|set <text> — footer added to broadcasts',
       '• /listcats — list categories with counts',
       '• /resetcats — wipe categories for this phone',
       '• /hardreset — wipe disk + memory and rescan',
-      '• /stop — cancel an active broadcast immediately',
+      '• /stop — cancel an active broadcast (or /unsend, /edit) immediately',
+      '• /pause [minutes] — hold the running broadcast after the current batch (auto-cancels after the timeout)',
+      '• /resume — continue a paused broadcast',
+      '• /queue — broadcasts waiting to run (one at a time, high priority first)',
+      '• /windows [<Category|default> 09:00-22:00 [Timezone] | off | release] — quiet hours; broadcasts outside wait',
+      '• /urgent — the next broadcast ignores send windows',
+      '• /dequeue <n> — drop a queued broadcast',
       '• /quiet — only final summary (default)',
       '• /loud — show periodic batch updates',
       '• /status — show whether a job is running',
+      '• /report [jobId] — delivery/read receipts for the last (or given) broadcast',
+      '• /poll Question | A | B — broadcast a poll (/poll* = multiple choice)',
+      '• /pollresults [jobId] — merged votes across every group',
+      '• /forward add <Group|number> -> <Category> [| keywords] — auto-forward new posts from a chat',
+      '• /forward list | del <n> | marker <n> on|off | keywords <n> [words] — manage forward rules',
+      '• /inbox [on|off] — collect group replies to broadcasts (and @mentions) here',
+      '• /reply <n> <text> — answer inbox message #n as a quoted reply in its group',
+      '• /retryfailed [jobId] — re-send the last (or given) broadcast only to groups that failed or were skipped',
+      '• /unsend [jobId] — delete the last (or given) broadcast for everyone',
+      '• /edit [jobId] <text> — replace the text/caption of the last (or given) broadcast',
+      '• /limits [minute|hour|day <n>|reset] — send quotas & current pacing',
       '• /clear — clear pending state',
+      '• /preview — dry-run the next category pick (summary + sample, nothing sent)',
       '',
-      `*Batching:* ${BATCH_SIZE} per batch, ${BATCH_INTERVAL_MS}ms interval.`,
+      `*Batching:* ${BATCH_SIZE} per batch, ${BATCH_INTERVAL_MS}ms interval (adapts to rate limits; see /limits).`,
       BATCH_STATUS_EVERY > 0 ? `*Updates:* every ${BATCH_STATUS_EVERY} batch(es) when loud.` : '*Updates:* final summary only (quiet).',
       AUTO_MODE ? '*Auto Mode:* ON' : '*Auto Mode:* OFF (type text, then pick number)'
     ].join('\n');
@@ -673,8 +1877,297 @@ async function handleBroadcastMessage(username, msg, sock) {
     return await sendSys(username, sock, chatJid, { text: '🔔 Loud mode ON (periodic batch updates enabled).' });
   }
   if (body === '/status') {
-    const running = !!u.broadcastJobId;
-    return await sendSys(username, sock, chatJid, { text: running ? `🟢 Broadcast running (job ${u.broadcastJobId}).` : '⚪ No active broadcast.' });
+    const live = u.broadcastJobId && getJob(username, u.broadcastJobId);
+    const parked = !live && parkedPausedJobs(username)[0];
+    const text = live?.pausedAt || parked
+      ? `⏸️ Broadcast paused (job ${(live || parked).id}). /resume or /stop.`
+      : u.broadcastJobId ? `🟢 Broadcast running (job ${u.broadcastJobId}).` : '⚪ No active broadcast.';
+    const waiting = queuedJobs(username).length;
+    return await sendSys(username, sock, chatJid, { text: waiting ? `${text}\n🕒 ${waiting} queued (/queue).` : text });
+  }
+
+  if (body === '/report' || body.startsWith('/report ')) {
+    const wanted = parseArgs(body.slice('/report'.length))[0];
+    const job = wanted ? getJob(username, wanted) : listJobs(username).pop();
+    if (!job) return await sendSys(username, sock, chatJid, { text: wanted ? `❌ No broadcast with id ${wanted}.` : '⚪ No broadcasts yet.' });
+    return await sendSys(username, sock, chatJid, { text: formatDeliveryReport(username, job) });
+  }
+
+  if (body === '/unsend' || body.startsWith('/unsend ') || body === '/edit' || body.startsWith('/edit ')) {
+    const action = body.startsWith('/edit') ? 'edit' : 'unsend';
+    let rest = body.slice(action === 'edit' ? 5 : 7).trim();
+    let wanted = null;
+    const first = rest.split(/\s+/)[0];
+    if (JOB_ID_RE.test(first)) { wanted = first; rest = rest.slice(first.length).trim(); }
+    if (action === 'edit' && !rest) {
+      return await sendSys(username, sock, chatJid, { text: '❌ Usage: /edit [jobId] <new text>' });
+    }
+    const job = findJobForRevision(username, wanted);
+    if (!job) return await sendSys(username, sock, chatJid, { text: wanted ? `❌ No broadcast with id ${wanted}.` : '⚪ No broadcasts to update yet.' });
+    const blocked = revisionBlocker(username);
+    if (blocked) return await sendSys(username, sock, chatJid, { text: `❌ ${blocked}` });
+    const count = Object.values(job.results || {}).filter(r => r.status === 'sent' && !r.revokedAt).length;
+    await sendSys(username, sock, chatJid, {
+      text: `${action === 'edit' ? '✏️ *Edit*' : '🗑️ *Unsend*'} started for ${count} group(s) (job ${job.id})… /stop cancels it.`
+    });
+    // detached like the queue runner, so /stop, /pause and /queue still get through meanwhile
+    runRevision(username, sock, chatJid, job, action, rest)
+      .catch((e) => sendSys(username, sock, chatJid, { text: `❌ ${e.message}` }).catch(()=>{}));
+    return;
+  }
+
+  if (body === '/retryfailed' || body.startsWith('/retryfailed ')) {
+    const wanted = parseArgs(body.slice('/retryfailed'.length))[0];
+    try {
+      const { job, position, original } = retryFailedGroups(username, wanted, { from: chatJid });
+      const lines = [`🔁 Retrying ${job.jids.length} group(s) from job ${original.id}${position ? `, ${position} job(s) ahead` : ''}.`];
+      const breakdown = formatBreakdown(original);
+      if (breakdown) lines.push(breakdown);
+      return await sendSys(username, sock, chatJid, { text: lines.join('\n') });
+    } catch (e) {
+      return await sendSys(username, sock, chatJid, { text: `❌ ${e.message}` });
+    }
+  }
+
+  if (body.startsWith('/poll ') || body.startsWith('/poll* ')) {
+    let content;
+    try {
+      content = parsePollCommand(body);
+    } catch (e) {
+      return await sendSys(username, sock, chatJid, { text: `❌ ${e.message}\nUsage: /poll Question | Option A | Option B  (/poll* for multiple choice)` });
+    }
+    u.pendingPoll = content;
+    u.pendingText = null; u.pendingMedia = null; u.awaitingPayload = null;
+    clearTarget(u);
+    const { text } = buildCategoryPrompt(username);
+    u.awaitingCategory = true;
+    u.lastPromptChat = chatJid;
+    if (u.categoryTimeout) clearTimeout(u.categoryTimeout);
+    u.categoryTimeout = setTimeout(() => notifyAndResetOnTimeout(username, sock, chatJid), INTERACTION_TIMEOUT_MS);
+    return await sendSys(username, sock, chatJid, { text: `✅ Poll ready:\n${pollSummary(content.poll)}\n\n${text}` });
+  }
+
+  if (body === '/pollresults' || body.startsWith('/pollresults ')) {
+    const wanted = parseArgs(body.slice('/pollresults'.length))[0];
+    const job = findPollJob(username, wanted);
+    if (!job) return await sendSys(username, sock, chatJid, { text: wanted ? `❌ No poll with id ${wanted}.` : '⚪ No polls sent yet.' });
+    return await sendSys(username, sock, chatJid, { text: formatPollResults(job, u.allGroups || {}) });
+  }
+
+  if (body === '/forward' || body.startsWith('/forward ')) {
+    const rest = body.slice(8).trim();
+    const [sub = 'list'] = parseArgs(rest);
+    const rules = listRules(username);
+    const byIndex = (arg) => rules[parseInt(arg, 10) - 1] || null;
+    const usage = '❌ Usage: /forward add <Group|number> -> <Category> [| kw1, kw2] · /forward list · /forward del <n> · /forward marker <n> on|off · /forward keywords <n> [kw1, kw2]';
+
+    if (sub === 'list') {
+      const lines = ['↪️ *Forward rules*', ...(rules.length ? rules.map(formatRule) : ['— none —'])];
+      return await sendSys(username, sock, chatJid, { text: lines.join('\n') });
+    }
+
+    if (sub === 'add') {
+      const m = rest.slice(3).match(/^(.+?)\s*->\s*([^|]+?)\s*(?:\|\s*(.*))?$/);
+      if (!m) return await sendSys(username, sock, chatJid, { text: usage });
+      const [, sourceIn, catIn, kw] = m;
+      const category = /^all$/i.test(catIn) ? '__ALL__' : catIn.trim();
+      if (category !== '__ALL__' && !u.categories?.[category]) {
+        return await sendSys(username, sock, chatJid, { text: `❌ Category "${category}" does not exist.` });
+      }
+      const source = resolveForwardSource(username, sourceIn);
+      if (!source) return await sendSys(username, sock, chatJid, { text: `❌ Could not find a group or number matching "${sourceIn}".` });
+      try {
+        const rule = addRule(username, { source: source.jid, sourceName: source.name, category, keywords: kw });
+        return await sendSys(username, sock, chatJid, { text: `✅ Forward rule added:\n${formatRule(rule, listRules(username).length - 1)}` });
+      } catch (e) {
+        return await sendSys(username, sock, chatJid, { text: `❌ ${e.message}` });
+      }
+    }
+
+    const [, nArg, ...more] = parseArgs(rest);
+    const rule = byIndex(nArg);
+    if (['del', 'marker', 'keywords'].includes(sub) && !rule) {
+      return await sendSys(username, sock, chatJid, { text: `❌ No forward rule #${nArg || ''}. See /forward list.` });
+    }
+    if (sub === 'del') {
+      removeRule(username, rule.id);
+      return await sendSys(username, sock, chatJid, { text: `🗑️ Removed forward rule: ${rule.sourceName} → ${rule.category}` });
+    }
+    if (sub === 'marker' && ['on', 'off'].includes(more[0])) {
+      const next = updateRule(username, rule.id, { marker: more[0] === 'on' });
+      return await sendSys(username, sock, chatJid, { text: `✅ Forward rule updated:\n${formatRule(next, rules.indexOf(rule))}` });
+    }
+    if (sub === 'keywords') {
+      const next = updateRule(username, rule.id, { keywords: more.join(' ') });
+      return await sendSys(username, sock, chatJid, { text: `✅ Forward rule updated:\n${formatRule(next, rules.indexOf(rule))}` });
+    }
+    return await sendSys(username, sock, chatJid, { text: usage });
+  }
+
+  if (body === '/windows' || body.startsWith('/windows ')) {
+    const args = parseArgs(body.slice(8));
+    const usage = '❌ Usage: /windows <Category|default> 09:00-22:00 [Timezone] · /windows <Category|default> off · /windows release';
+
+    if ((args[0] || '').toLowerCase() === 'release') {
+      const held = releaseWindowHeld(username);
+      return await sendSys(username, sock, chatJid, {
+        text: held.length ? `🚨 Releasing ${held.length} held broadcast(s) now (urgent override).` : 'No broadcasts are held by a send window.'
+      });
+    }
+
+    if (args.length) {
+      const [target, ...spec] = args;
+      const category = target.toLowerCase() === 'default' ? null : target;
+      if (category && !u.categories?.[category]) {
+        return await sendSys(username, sock, chatJid, { text: `❌ Category "${category}" does not exist.` });
+      }
+      if (!spec.length) return await sendSys(username, sock, chatJid, { text: usage });
+      try {
+        const win = spec[0].toLowerCase() === 'off'
+          ? null
+          : parseWindowSpec(spec.join(' '), windowFor(username, category)?.tz);
+        setWindow(username, category, win);
+      } catch (e) {
+        return await sendSys(username, sock, chatJid, { text: `❌ ${e.message}\n${usage}` });
+      }
+    }
+
+    const windows = getWindows(username);
+    const row = (label, win) => {
+      const state = windowState(win);
+      const now = state.open ? '🟢 open' : `🌙 closed, opens ${formatLocal(state.opensAt, win.tz)}`;
+      return `• ${label}: ${formatWindow(win)}${win ? ` — ${now}` : ''}`;
+    };
+    const lines = ['🕘 *Send windows*', row('Default', windows.default)];
+    for (const [cat, win] of Object.entries(windows.categories)) lines.push(row(cat, win));
+    const held = windowHeldJobs(username).length;
+    if (held) lines.push(`🌙 Held: ${held} broadcast(s) — /windows release sends them now.`);
+    lines.push('', 'Broadcasts outside their window wait for it to open; /urgent skips the window once.');
+    return await sendSys(username, sock, chatJid, { text: lines.join('\n') });
+  }
+
+  if (body === '/urgent') {
+    u.urgentNext = true;
+    return await sendSys(username, sock, chatJid, { text: '🚨 Your next broadcast ignores send windows.' });
+  }
+
+  if (body === '/variant' || body.startsWith('/variant ')) {
+    const rest = body.slice(8).trim();
+    const [sub = 'list'] = parseArgs(rest);
+    const extras = u.pendingVariants || [];
+    if (sub === 'add') {
+      const text = rest.slice(3).trim();
+      if (!text) return await sendSys(username, sock, chatJid, { text: '❌ Usage: /variant add <alternative text>' });
+      if (extras.length + 1 >= MAX_VARIANTS) return await sendSys(username, sock, chatJid, { text: `❌ At most ${MAX_VARIANTS} variants per broadcast.` });
+      u.pendingVariants = [...extras, text];
+      u.variantWeights = null; // a new variant resets the ratio to an even split
+    } else if (sub === 'ratio') {
+      const weights = parseArgs(rest.slice(5)).map(w => parseFloat(w));
+      if (weights.length !== extras.length + 1 || weights.some(w => !(w > 0))) {
+        return await sendSys(username, sock, chatJid, { text: `❌ Usage: /variant ratio <A> <B>${extras.length > 1 ? ' ...' : ''} — one positive number per variant (${extras.length + 1}).` });
+      }
+      u.variantWeights = weights;
+    } else if (sub === 'clear') {
+      u.pendingVariants = null; u.variantWeights = null;
+      return await sendSys(username, sock, chatJid, { text: '🅥 Variants cleared — the next broadcast goes out as typed.' });
+    } else if (sub !== 'list') {
+      return await sendSys(username, sock, chatJid, { text: '❌ Usage: /variant add <text> · /variant ratio <A> <B> ... · /variant list · /variant clear' });
+    }
+
+    const list = u.pendingVariants || [];
+    const weights = u.variantWeights || [];
+    const total = weights.length ? weights.reduce((a, b) => a + b, 0) : list.length + 1;
+    const share = (i) => `${Math.round(((weights[i] || 1) / total) * 100)}%`;
+    const lines = [
+      '🅥 *Variants* for the next broadcast:',
+      `A (${share(0)}): your message as typed`,
+      ...list.map((t, i) => `${String.fromCharCode(66 + i)} (${share(i + 1)}): ${t}`)
+    ];
+    if (!list.length) lines.push('— no alternatives yet — /variant add <text>');
+    return await sendSys(username, sock, chatJid, { text: lines.join('\n') });
+  }
+
+  if (body === '/mentions' || body.startsWith('/mentions ')) {
+    const args = parseArgs(body.slice(9));
+    const sub = (args[0] || '').toLowerCase();
+    if (sub === 'max') {
+      const n = parseInt(args[1], 10);
+      if (!Number.isInteger(n) || n < 1) return await sendSys(username, sock, chatJid, { text: '❌ Usage: /mentions max <members>' });
+      updateMentionPolicy(username, { maxGroupSize: n });
+    } else if (sub === 'off' || sub === 'on') {
+      const category = args.slice(1).join(' ');
+      if (!u.categories?.[category]) return await sendSys(username, sock, chatJid, { text: `❌ Category "${category}" does not exist.` });
+      updateMentionPolicy(username, sub === 'off' ? { addOptOut: category } : { removeOptOut: category });
+    } else if (sub) {
+      return await sendSys(username, sock, chatJid, { text: '❌ Usage: /mentions [max <n> | off <Category> | on <Category>]' });
+    }
+    const policy = getMentionPolicy(username);
+    const lines = [
+      '📣 *Mention-all*',
+      'Use /text! or put @all in a message to mention every member.',
+      `• Max group size: ${policy.maxGroupSize}`,
+      `• Opted-out categories: ${policy.optOut.length ? policy.optOut.join(', ') : 'none'}`
+    ];
+    return await sendSys(username, sock, chatJid, { text: lines.join('\n') });
+  }
+
+  if (body === '/inbox' || body.startsWith('/inbox ')) {
+    const args = parseArgs(body.slice(6)).map(a => a.toLowerCase());
+    if (args[0] === 'on' || args[0] === 'off') setInboxOptions(username, { enabled: args[0] === 'on' });
+    else if (args[0] === 'mentions' && ['on', 'off'].includes(args[1])) setInboxOptions(username, { mentions: args[1] === 'on' });
+    else if (args.length) return await sendSys(username, sock, chatJid, { text: '❌ Usage: /inbox [on|off] | /inbox mentions on|off' });
+
+    const opts = getInboxOptions(username);
+    const recent = listInbox(username);
+    const lines = [
+      `📥 *Inbox* is ${opts.enabled ? 'ON' : 'OFF'} (replies to broadcasts${opts.mentions ? ' + @mentions' : ''})`,
+      ...(recent.length ? recent.map(formatInboxItem) : ['— nothing yet —'])
+    ];
+    if (recent.length) lines.push('', 'Answer with /reply <n> <text>');
+    return await sendSys(username, sock, chatJid, { text: lines.join('\n') });
+  }
+
+  if (body.startsWith('/reply ')) {
+    const [nRaw] = parseArgs(body.slice(7));
+    const n = parseInt(String(nRaw || '').replace(/^#/, ''), 10);
+    const text = body.slice(7).trim().slice(String(nRaw || '').length).trim();
+    if (!Number.isInteger(n) || !text) return await sendSys(username, sock, chatJid, { text: '❌ Usage: /reply <n> <text> (numbers from /inbox)' });
+    const item = getInboxItem(username, n);
+    if (!item) return await sendSys(username, sock, chatJid, { text: `❌ No inbox message #${n}.` });
+    try {
+      await sendToOneWithRetry(sock, item.jid, () => sock.sendMessage(item.jid, { text }, { quoted: quotedFor(item) }), username);
+      return await sendSys(username, sock, chatJid, { text: `↩️ Replied in *${item.group}*.` });
+    } catch (e) {
+      return await sendSys(username, sock, chatJid, { text: `❌ Reply to #${n} failed: ${e?.message || e}` });
+    }
+  }
+
+  if (body === '/limits' || body.startsWith('/limits ')) {
+    const args = parseArgs(body.slice('/limits'.length));
+    const WINDOW_KEYS = { minute: 'perMinute', hour: 'perHour', day: 'perDay' };
+    if (args[0] === 'reset') {
+      updateSettings(username, (st) => { delete st.governor; });
+    } else if (args.length) {
+      const key = WINDOW_KEYS[String(args[0]).toLowerCase()];
+      const n = parseInt(args[1], 10);
+      if (!key || !Number.isInteger(n) || n < 1) {
+        return await sendSys(username, sock, chatJid, { text: '❌ Usage: /limits [minute|hour|day <n>] | /limits reset' });
+      }
+      updateSettings(username, (st) => { st.governor = { ...(st.governor || {}), [key]: n }; });
+    }
+    const limits = getLimits(username);
+    const usage = getUsage(username);
+    const plan = planBatch(username);
+    const lines = [
+      '🚦 *Send limits*',
+      `• Minute: ${usage.minute}/${limits.perMinute}`,
+      `• Hour: ${usage.hour}/${limits.perHour}`,
+      `• Day: ${usage.day}/${limits.perDay}`,
+      `Pacing: ${plan.batchSize} per batch every ${Math.round(plan.intervalMs / 1000)}s` +
+        (plan.penalty ? ` (backoff level ${plan.penalty})` : ''),
+      `Defaults: ${DEFAULT_LIMITS.perMinute}/min, ${DEFAULT_LIMITS.perHour}/h, ${DEFAULT_LIMITS.perDay}/day`
+    ];
+    return await sendSys(username, sock, chatJid, { text: lines.join('\n') });
   }
 
   if (body === '/rescan' || body === '/syncgroups') {
@@ -751,6 +2244,84 @@ async function handleBroadcastMessage(username, msg, sock) {
     });
   }
 
+  if (body === '/vars' || body.startsWith('/vars ')) {
+    const rest = body.slice('/vars'.length).trim();
+    if (!rest) {
+      return await sendSys(username, sock, chatJid, {
+        text: '❌ Usage: /vars <GroupName|JID> [key=value ...]\nUse key= to delete. Built-ins: {group_name} {category} {date} {participant_count}'
+      });
+    }
+    const assignAt = rest.search(/(^|\s)[a-zA-Z][\w-]*=/);
+    const groupRaw = (assignAt === -1 ? rest : rest.slice(0, assignAt)).trim();
+    const assignments = assignAt === -1 ? '' : rest.slice(assignAt).trim();
+
+    const jid = resolveToJids(username, [groupRaw])[0];
+    const group = jid && u.allGroups?.[jid];
+    if (!group) return await sendSys(username, sock, chatJid, { text: `❌ Could not find a group matching "${groupRaw}". Try /findgroup ${groupRaw}` });
+
+    if (assignments) {
+      const changes = {};
+      for (const m of assignments.matchAll(/([a-zA-Z][\w-]*)=(.*?)(?=\s+[a-zA-Z][\w-]*=|$)/g)) {
+        changes[m[1]] = m[2].trim();
+      }
+      try {
+        group.vars = applyVarChanges(group.vars, changes);
+      } catch (e) {
+        return await sendSys(username, sock, chatJid, { text: `❌ ${e.message}` });
+      }
+      if (!Object.keys(group.vars).length) delete group.vars;
+      persistNow(username);
+    }
+
+    const rows = Object.entries(group.vars || {}).map(([k, v]) => `• {${k}} = ${v}`);
+    return await sendSys(username, sock, chatJid, {
+      text: `🧩 Variables for *${group.name || jid}*:\n${rows.length ? rows.join('\n') : '— none —'}`
+    });
+  }
+
+  if (body === '/footer' || body.startsWith('/footer ')) {
+    const args = parseArgs(body.slice('/footer'.length));
+    const category = args[0] && u.categories?.[args[0]] ? args.shift() : null;
+    const action = (args.shift() || '').toLowerCase();
+    const scope = category ? `*${category}*` : 'all broadcasts';
+
+    if (action) {
+      let change;
+      if (action === 'on') change = { enabled: true };
+      else if (action === 'off') change = { enabled: false };
+      else if (action === 'reset') change = null;
+      else if (action === 'set' && args.length) change = { text: body.slice(body.toLowerCase().indexOf(' set ') + 5).trim() };
+      else {
+        return await sendSys(username, sock, chatJid, {
+          text: '❌ Usage: /footer [Category] on|off|reset|set <text>'
+        });
+      }
+      try {
+        updateSettings(username, (st) => {
+          const f = st.footer || (st.footer = {});
+          const cats = f.categories || (f.categories = {});
+          const current = category ? cats[category] : { enabled: f.enabled, text: f.text };
+          const next = change ? applyFooterChange(current, change) : {}; // reset → inherit
+          if (category) {
+            if (Object.keys(next).length) cats[category] = next;
+            else delete cats[category];
+          } else {
+            f.enabled = next.enabled;
+            f.text = next.text;
+          }
+        });
+      } catch (e) {
+        return await sendSys(username, sock, chatJid, { text: `❌ ${e.message}` });
+      }
+    }
+
+    const st = getSettings(username);
+    const lines = [`📝 Footer for ${scope}:`, resolveFooter(st, category) || '— off —'];
+    const overrides = Object.keys(st.footer?.categories || {});
+    if (!category && overrides.length) lines.push('', `Category overrides: ${overrides.join(', ')}`);
+    return await sendSys(username, sock, chatJid, { text: lines.join('\n') });
+  }
+
   if (body.startsWith('/addgroup ')) {
     const args = body.slice(9).trim().split(/\s+/);
     const category = args.shift();
@@ -806,7 +2377,8 @@ async function handleBroadcastMessage(username, msg, sock) {
     }
     if (!u.categories?.[category]) return await sendSys(username, sock, chatJid, { text: `❌ Category "${category}" does not exist.` });
 
-    const jids = resolveToJids(username, [groupRaw]);
+    // numbers only resolve on a contact list, so a typo can't match a contact elsewhere
+    const jids = resolveToJids(username, [groupRaw], { contacts: !!contactLists(username)[category] });
     if (!jids.length) return await sendSys(username, sock, chatJid, { text: `❌ Could not resolve "${groupRaw}".` });
 
     const before = new Set(u.categories[category] || []);
@@ -816,20 +2388,115 @@ async function handleBroadcastMessage(username, msg, sock) {
     return await sendSys(username, sock, chatJid, { text: `✅ Removed from *${category}*.` });
   }
 
+  if (body === '/addcontact' || body.startsWith('/addcontact ')) {
+    const m = body.slice(11).match(/^\s*(\+?[\d\s()-]{7,}?)\s*([^\d\s+(].*?)?\s*->\s*(\S+)\s*$/);
+    if (!m) return await sendSys(username, sock, chatJid, { text: '❌ Usage: /addcontact <number> [name] -> <List>\nExample: /addcontact +44 7700 900123 Jane -> Customers' });
+    const [, number, name, list] = m;
+    const report = addToContactList(username, list, [{ phone: number, name }]);
+    if (report.invalid.length) return await sendSys(username, sock, chatJid, { text: `❌ "${number.trim()}" is not a full phone number (include the country code).` });
+    if (report.optedOut) return await sendSys(username, sock, chatJid, { text: `🚫 ${number.trim()} replied STOP before — not added.` });
+    const jid = toContactJid(number);
+    const who = `${contactName(username, jid)} (${formatNumber(jid)})`;
+    const where = report.added ? `Added ${who} to` : `${who} is already on`;
+    return await sendSys(username, sock, chatJid, {
+      text: `📇 ${where} contact list *${report.list}* (${report.total} contacts).`
+    });
+  }
+
+  if (body === '/contacts' || body.startsWith('/contacts ')) {
+    const arg = body.slice(9).trim();
+    const lists = contactLists(username);
+    if (arg.toLowerCase() === 'optouts') {
+      const rows = listOptOuts(username).slice(0, MAX_NAMES_PER_CATEGORY)
+        .map(o => `• ${o.name || formatNumber(o.jid)} — ${new Date(o.at).toLocaleDateString('en-GB')}`);
+      return await sendSys(username, sock, chatJid, { text: ['🚫 *Opted out (STOP)*', ...(rows.length ? rows : ['— none —'])].join('\n') });
+    }
+    if (arg) {
+      const list = lists[arg];
+      if (!list) return await sendSys(username, sock, chatJid, { text: `❌ No contact list "${arg}". See /contacts.` });
+      const rows = list.contacts.slice(0, MAX_NAMES_PER_CATEGORY)
+        .map(j => `• ${contactName(username, j)} (${formatNumber(j)})${isOptedOut(username, j) ? ' 🚫' : ''}`);
+      const extra = list.contacts.length - rows.length;
+      return await sendSys(username, sock, chatJid, {
+        text: [`📇 *Contact list ${arg}* (${list.contacts.length})`, ...rows, ...(extra > 0 ? [`... (+${extra} more)`] : [])].join('\n')
+      });
+    }
+    const rows = Object.entries(lists).map(([name, l]) => `• ${name}: ${l.contacts.length} contacts${l.groups ? ` + ${l.groups} groups` : ''}`);
+    return await sendSys(username, sock, chatJid, {
+      text: ['📇 *Contact lists*', ...(rows.length ? rows : ['— none —']), `🚫 Opted out: ${listOptOuts(username).length}`].join('\n')
+    });
+  }
+
+  if (body === '/pause' || body.startsWith('/pause ')) {
+    const mins = parseInt(parseArgs(body.slice(6))[0], 10);
+    try {
+      const job = pauseBroadcast(username, { timeoutMs: mins > 0 ? mins * 60000 : 0 });
+      return await sendSys(username, sock, chatJid, { text: `⏸️ Pausing broadcast ${job.id} after the current batch…` });
+    } catch (e) {
+      return await sendSys(username, sock, chatJid, { text: `⚪ ${e.message}` });
+    }
+  }
+
+  if (body === '/resume') {
+    try {
+      const job = resumeBroadcast(username);
+      return await sendSys(username, sock, chatJid, { text: `▶️ Resuming broadcast ${job.id}…` });
+    } catch (e) {
+      return await sendSys(username, sock, chatJid, { text: `⚪ ${e.message}` });
+    }
+  }
+
+  if (body === '/queue') {
+    const live = u.broadcastJobId && getJob(username, u.broadcastJobId);
+    const lines = ['📋 *Queue*'];
+    if (live) lines.push(`${live.pausedAt ? '⏸️' : '▶️'} ${describeJob(username, live)} — ${remainingJids(live).length} left`);
+    for (const job of pendingJobs(username)) {
+      if (job.status === 'queued' || job.id === live?.id) continue;
+      const until = job.resumeAt && new Date(job.resumeAt).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+      const when = job.status !== 'deferred' || !until ? job.status
+        : job.heldBy === 'window' ? `🌙 held for send window until ${until}` : `deferred until ${until}`;
+      lines.push(`⏳ ${describeJob(username, job)} — ${when}`);
+    }
+    queuedJobs(username).forEach((job, i) => lines.push(`${i + 1}. ${describeJob(username, job)}`));
+    if (lines.length === 1) lines.push('— empty —');
+    else lines.push('', '/dequeue <n> drops a numbered job.');
+    return await sendSys(username, sock, chatJid, { text: lines.join('\n') });
+  }
+
+  if (body.startsWith('/dequeue')) {
+    const n = parseInt(parseArgs(body.slice(8))[0], 10);
+    if (!Number.isInteger(n) || n < 1) return await sendSys(username, sock, chatJid, { text: '❌ Usage: /dequeue <n> (see /queue)' });
+    const job = dequeueJob(username, n);
+    return await sendSys(username, sock, chatJid, {
+      text: job ? `🗑️ Removed #${n} from the queue: ${describeJob(username, job)}` : `❌ No queued job #${n}. See /queue.`
+    });
+  }
+
   if (body === '/stop' || body === '/cancel') {
     cancelFlow(u);
+    cancelPausedJobs(username);
     return await sendSys(username, sock, chatJid, { text: `🛑 Cancelled. Any ongoing broadcast will stop now.` });
   }
 
+  if (body === '/preview') {
+    u.previewNext = !u.previewNext;
+    return await sendSys(username, sock, chatJid, {
+      text: u.previewNext
+        ? '🔍 Preview mode ON: the next category you pick is previewed only, nothing is sent.'
+        : '🔍 Preview mode OFF.'
+    });
+  }
+
   if (body === '/clear') {
     cancelFlow(u);
     return await sendSys(username, sock, chatJid, { text: '🧽 Cleared pending state. Use /text or /media to start again.' });
   }
 
-  if (body === '/text') {
+  if (body === '/text' || body === '/text!') {
     cancelFlow(u);         // ensure clean switch
     u.mode = 'text';
     u.awaitingPayload = 'text';
+    u.mentionNext = body === '/text!'; // next broadcast @-mentions every member
 
     const groupCount = Object.keys(u.allGroups || {}).length;
     if (groupCount === 0) return await sendSys(username, sock, chatJid, { text: '✏️ Text mode activated, but no groups found. Use /rescan first.' });
@@ -838,13 +2505,14 @@ async function handleBroadcastMessage(username, msg, sock) {
     u.lastPromptChat = chatJid;
     if (u.categoryTimeout) clearTimeout(u.categoryTimeout);
     u.categoryTimeout = setTimeout(() => notifyAndResetOnTimeout(username, sock, chatJid), INTERACTION_TIMEOUT_MS);
-    return await sendSys(username, sock, chatJid, { text: `✏️ Text mode activated.\n\n${text}` });
+    const mentionNote = u.mentionNext ? '\n📣 Your next broadcast mentions everyone (where allowed, see /mentions).' : '';
+    return await sendSys(username, sock, chatJid, { text: `✏️ Text mode activated.${mentionNote}\n\n${text}` });
   }
 
   if (body === '/media') {
     cancelFlow(u);         // ensure clean switch
     u.mode = 'media';
-    return await sendSys(username, sock, chatJid, { text: `🖼️ Media mode activated. Send an image to broadcast.` });
+    return await sendSys(username, sock, chatJid, { text: `🖼️ Media mode activated. Send an image, video, document, voice note or sticker to broadcast.` });
   }
 
   if (body === '/cats') {
@@ -870,32 +2538,45 @@ async function handleBroadcastMessage(username, msg, sock) {
     }
     const chosen = mapping[n];
 
-    if (u.pendingImage || u.pendingText) {
+    if (u.pendingMedia || u.pendingText || u.pendingPoll) {
       const rawList = chosen === '__ALL__' ? Object.keys(u.allGroups || {}) : (u.categories[chosen] || []);
       const jids = (rawList || []).filter(Boolean);
       if (!jids.length) return await sendSys(username, sock, chatJid, { text: 'No valid groups in that category.' });
 
-      if (u.categoryTimeout) { clearTimeout(u.categoryTimeout); u.categoryTimeout = null; }
+      if (u.previewNext) {
+        u.previewNext = false;
+        const content = u.pendingPoll || (u.pendingText ? { text: u.pendingText } : buildMediaContent(u.pendingMedia));
+        await sendPreview(username, sock, chatJid, previewBroadcast(username, jids, content, { category: chosen }), content);
+        // keep the payload: the next number sends it for real
+        return await sendSys(username, sock, chatJid, { text: 'Reply with a category number to send for real, or /clear.' });
+      }
 
-      const jobId = `${Date.now()}-${Math.random().toString(36).slice(2,8)}`;
-      u.broadcastJobId = jobId; clearCancel(u);
+      if (u.categoryTimeout) { clearTimeout(u.categoryTimeout); u.categoryTimeout = null; }
 
-      if (u.mode === 'text' && u.pendingText) {
-        await sendSys(username, sock, chatJid, { text: `Broadcasting *text* to ${jids.length} group(s)...` });
-        await sendInBatches(sock, username, chatJid, jids, { text: u.pendingText }, jobId);
-        await sendSys(username, sock, chatJid, { text: `✏️ Done. Send another, or /media to switch.` });
+      if (u.pendingPoll) {
+        const content = u.pendingPoll;
+        u.pendingPoll = null;
+        await queueFromChat(username, sock, chatJid, {
+          jids, content, category: chosen, startText: `Broadcasting *poll* to ${jids.length} group(s)...`
+        });
+      } else if (u.mode === 'text' && u.pendingText) {
+        const content = { text: u.pendingText };
         u.pendingText = null; u.awaitingPayload = 'text';
-      } else if (u.pendingImage) {
-        const imagePath = u.pendingImage?.filePath;
-        const caption = u.pendingImage?.caption || '';
-        if (!imagePath || !fs.existsSync(imagePath)) {
-          await sendSys(username, sock, chatJid, { text: '⚠️ Could not find saved image. Please resend it.' });
+        const finished = await queueFromChat(username, sock, chatJid, {
+          jids, content, category: chosen, startText: `Broadcasting *text* to ${jids.length} group(s)...`
+        });
+        finished.then(() => sendSys(username, sock, chatJid, { text: `✏️ Done. Send another, or /media to switch.` })).catch(()=>{});
+      } else if (u.pendingMedia) {
+        const { kind, filePath } = u.pendingMedia;
+        if (!filePath || !fs.existsSync(filePath)) {
+          await sendSys(username, sock, chatJid, { text: `⚠️ Could not find saved ${kind}. Please resend it.` });
         } else {
-          await sendSys(username, sock, chatJid, { text: `Broadcasting *image* to ${jids.length} group(s)...` });
-          await sendInBatches(sock, username, chatJid, jids, { image: { url: imagePath }, caption }, jobId);
-          try { fs.unlinkSync(imagePath); } catch {}
+          await queueFromChat(username, sock, chatJid, {
+            jids, content: buildMediaContent(u.pendingMedia), category: chosen,
+            startText: `Broadcasting *${kind}* to ${jids.length} group(s)...`
+          });
         }
-        u.pendingImage = null; u.awaitingPayload = null;
+        u.pendingMedia = null; u.awaitingPayload = null;
       }
 
       u.lastPromptChat = null; u.awaitingCategory = false;
@@ -927,7 +2608,8 @@ async function handleBroadcastMessage(username, msg, sock) {
 
     u.pendingText = body;
     u.awaitingPayload = null;
-    u.pendingImage = null;
+    u.pendingMedia = null;
+    u.pendingPoll = null;
     u.lastPromptChat = chatJid;
 
     if (u.selectedTarget) {
@@ -941,12 +2623,22 @@ async function handleBroadcastMessage(username, msg, sock) {
         return await sendSys(username, sock, chatJid, { text: '⚠️ That target currently has no groups. Use /cats to choose again.' });
       }
 
-      await sendSys(username, sock, chatJid, { text: `Broadcasting *text* to ${jids.length} group(s)...` });
-      const jobId = `${Date.now()}-${Math.random().toString(36).slice(2,8)}`;
-      u.broadcastJobId = jobId; clearCancel(u);
+      if (u.previewNext) {
+        u.previewNext = false;
+        const content = { text: u.pendingText };
+        await sendPreview(username, sock, chatJid, previewBroadcast(username, jids, content, { category: chosen.key }), content);
+        // keep target + text: picking the category again sends it
+        const { text } = buildCategoryPrompt(username);
+        u.awaitingCategory = true;
+        clearTarget(u);
+        return await sendSys(username, sock, chatJid, { text });
+      }
 
-      await sendInBatches(sock, username, chatJid, jids, { text: u.pendingText }, jobId);
+      const content = { text: u.pendingText };
       u.pendingText = null; u.awaitingCategory = false; u.lastPromptChat = null;
+      await queueFromChat(username, sock, chatJid, {
+        jids, content, category: chosen.key, startText: `Broadcasting *text* to ${jids.length} group(s)...`
+      });
       clearTarget(u);
       return;
     }
@@ -954,20 +2646,17 @@ async function handleBroadcastMessage(username, msg, sock) {
     if (AUTO_MODE) {
       const inferred = pickCategoryFromText(u.pendingText);
       let jids = [];
-      if (inferred && u.categories?.[inferred]?.length) jids = (u.categories[inferred] || []).filter(Boolean);
+      const category = inferred && u.categories?.[inferred]?.length ? inferred : '__ALL__';
+      if (category !== '__ALL__') jids = (u.categories[inferred] || []).filter(Boolean);
       else jids = Object.keys(u.allGroups || {});
       if (!jids.length) return await sendSys(username, sock, chatJid, { text: '⚠️ No groups found. Use /rescan first.' });
 
       const msgTxt = inferred
         ? `🤖 Auto-picked *${inferred}* (${jids.length} groups). Broadcasting...`
         : `🤖 No clear category found. Sending to ALL (${jids.length})...`;
-      await sendSys(username, sock, chatJid, { text: msgTxt });
-
-      const jobId = `${Date.now()}-${Math.random().toString(36).slice(2,8)}`;
-      u.broadcastJobId = jobId; clearCancel(u);
-
-      await sendInBatches(sock, username, chatJid, jids, { text: u.pendingText }, jobId);
+      const content = { text: u.pendingText };
       u.pendingText = null; u.awaitingCategory = false; u.lastPromptChat = null;
+      await queueFromChat(username, sock, chatJid, { jids, content, category, startText: msgTxt });
       return;
     }
 
@@ -981,42 +2670,40 @@ async function handleBroadcastMessage(username, msg, sock) {
 
   /* ------------------------------ Media flow ---------------------------- */
 
-  if (u.mode === 'media' && hasImage(msg) && !u.awaitingCategory) {
-    await sendSys(username, sock, chatJid, { text: '⬇️ Downloading image...' });
+  const media = getMediaInfo(getContent(msg));
+  if (u.mode === 'media' && media && !u.awaitingCategory) {
+    await sendSys(username, sock, chatJid, { text: `⬇️ Downloading ${media.kind}...` });
     const buffer = await safeDownloadMedia(msg, sock, 8, 3000);
-    if (!buffer?.length) return await sendSys(username, sock, chatJid, { text: '❌ Failed to download image. Try again.' });
+    if (!buffer?.length) return await sendSys(username, sock, chatJid, { text: `❌ Failed to download ${media.kind}. Try again.` });
 
-    const caption = getContent(msg)?.imageMessage?.caption || '';
+    const caption = media.caption;
     const up = getUserPaths(username);
     ensureDir(up.tmp);
-    const filePath = path.join(up.tmp, `image_${Date.now()}.jpg`);
+    const filePath = path.join(up.tmp, `${media.kind}_${Date.now()}.${mediaExtension(media)}`);
     try { fs.writeFileSync(filePath, buffer); try { buffer.fill(0); } catch {} } catch (e) {
-      return await sendSys(username, sock, chatJid, { text: `❌ Failed to save image: ${e.message}` });
+      return await sendSys(username, sock, chatJid, { text: `❌ Failed to save ${media.kind}: ${e.message}` });
     }
 
     u.pendingText = null;
-    u.pendingImage = { filePath, caption };
+    u.pendingPoll = null;
+    u.pendingMedia = { ...media, filePath };
     u.awaitingPayload = null;
     u.lastPromptChat = chatJid;
 
     if (AUTO_MODE) {
       const inferred = pickCategoryFromText(caption);
       let jids = [];
-      if (inferred && u.categories?.[inferred]?.length) jids = (u.categories[inferred] || []).filter(Boolean);
+      const category = inferred && u.categories?.[inferred]?.length ? inferred : '__ALL__';
+      if (category !== '__ALL__') jids = (u.categories[inferred] || []).filter(Boolean);
       else jids = Object.keys(u.allGroups || {});
       if (!jids.length) return await sendSys(username, sock, chatJid, { text: '⚠️ No groups found. Use /rescan first.' });
 
       const msgTxt = inferred
         ? `🤖 Auto-picked *${inferred}* (${jids.length} groups). Broadcasting...`
         : `🤖 No clear category found. Sending to ALL (${jids.length})...`;
-      await sendSys(username, sock, chatJid, { text: msgTxt });
-
-      const jobId = `${Date.now()}-${Math.random().toString(36).slice(2,8)}`;
-      u.broadcastJobId = jobId; clearCancel(u);
-
-      await sendInBatches(sock, username, chatJid, jids, { image: { url: filePath }, caption }, jobId);
-      try { fs.unlinkSync(filePath); } catch {}
-      u.pendingImage = null; u.awaitingCategory = false; u.lastPromptChat = null;
+      const content = buildMediaContent(u.pendingMedia);
+      u.pendingMedia = null; u.awaitingCategory = false; u.lastPromptChat = null;
+      await queueFromChat(username, sock, chatJid, { jids, content, category, startText: msgTxt });
       return;
     }
 
@@ -1024,7 +2711,8 @@ async function handleBroadcastMessage(username, msg, sock) {
     u.awaitingCategory = true;
     if (u.categoryTimeout) clearTimeout(u.categoryTimeout);
     u.categoryTimeout = setTimeout(() => notifyAndResetOnTimeout(username, sock, chatJid), INTERACTION_TIMEOUT_MS);
-    return await sendSys(username, sock, chatJid, { text: `✅ Image saved!\n\n${text}` });
+    const label = media.kind === 'audio' && media.ptt ? 'Voice note' : media.kind[0].toUpperCase() + media.kind.slice(1);
+    return await sendSys(username, sock, chatJid, { text: `✅ ${label} saved!\n\n${text}` });
   }
 
   // gentle nudge
@@ -1038,7 +2726,7 @@ async function handleBroadcastMessage(username, msg, sock) {
       if (!u.lastNudgeAt || now - u.lastNudgeAt > u.nudgeCooldownMs) {
         u.lastNudgeAt = now;
         return await sendSys(username, sock, chatJid, {
-          text: `🖼️ Media mode active. Send an image to broadcast, or /text to switch.\n\nTry /help`
+          text: `🖼️ Media mode active. Send an image, video, document, voice note or sticker to broadcast, or /text to switch.\n\nTry /help`
         });
       }
       return;
@@ -1065,7 +2753,23 @@ module.exports = {
   autoScanAndCategorise,
   buildCategoryPrompt,
   sendInBatches,
+  startBroadcast,
+  retryFailedGroups,
+  findPollJob,
+  categoryJids,
+  previewBroadcast,
+  findJobForRevision,
+  revisionBlocker,
+  runRevision,
+  pauseBroadcast,
+  resumeBroadcast,
+  cancelPausedJobs,
+  enqueueBroadcast,
+  kickQueue,
+  runJobQueue,
   handleBroadcastMessage,
+  handleExternalMessage,
+  resolveForwardSource,
   categoriseGroupName,
   cleanCategories
 };
@@ -0,0 +1,242 @@
+// lib/contacts.js
+// Contact lists: individual customers as broadcast targets.
+// A contact list is an ordinary category whose entries are contact JIDs
+// (<number>@s.whatsapp.net), so it uses the same picker, queue and batch engine.
+// users/<name>/contacts.json keeps what a category can't:
+//   { contacts: { jid: { name, addedAt } }, optOut: { jid: { at, via } } }
+// A contact on the opt-out registry is never messaged again (until they reply START).
+
+const { readJSON, writeJSON, getUserPaths, normaliseJid } = require('./utils');
+const { saveUserState } = require('./state');
+const { contactJid } = require('./forward');
+
+/* ----------------------------- config ---------------------------------- */
+
+// Prefix for national numbers in imports ("07700 900123" → 447700900123); unset = reject them
+const DEFAULT_COUNTRY_CODE = String(process.env.DEFAULT_COUNTRY_CODE || '').replace(/\D/g, '');
+
+// Unambiguous keywords only: customers reply "cancel" about orders, which must not opt them out
+const STOP_RE = /^\s*(stop|stopall|unsubscribe|opt[\s-]?out)\s*[.!]?\s*$/i;
+const START_RE = /^\s*(start|subscribe|opt[\s-]?in)\s*[.!]?\s*$/i;
+
+/* ----------------------------- helpers ---------------------------------- */
+
+function USERSG() { return global.USERS || (global.USERS = {}); }
+
+function isContactJid(jid) {
+  return /@(s\.whatsapp\.net|lid)$/.test(String(jid || ''));
+}
+
+// Phone number (any formatting) or contact JID → normalised contact JID, or null
+function toContactJid(input) {
+  let raw = String(input || '').trim();
+  if (DEFAULT_COUNTRY_CODE && /^0\d/.test(raw.replace(/[\s()-]/g, ''))) {
+    raw = DEFAULT_COUNTRY_CODE + raw.replace(/[\s()-]/g, '').slice(1);
+  }
+  const jid = contactJid(raw.replace(/^00/, '+'));
+  return jid ? normaliseJid(jid) : null;
+}
+
+// "+44 7700 900123" style label for a contact JID
+function formatNumber(jid) {
+  const user = String(jid || '').split('@')[0];
+  return /^\d+$/.test(user) ? `+${user}` : user;
+}
+
+// 'stop' | 'start' | null for a reply from a contact
+function optKeyword(text) {
+  if (STOP_RE.test(text || '')) return 'stop';
+  if (START_RE.test(text || '')) return 'start';
+  return null;
+}
+
+/* ------------------------------ store ----------------------------------- */
+
+function loadBook(username) {
+  const u = USERSG()[username];
+  if (u?.contactBook) return u.contactBook;
+  const saved = readJSON(getUserPaths(username).contacts, {});
+  const book = { contacts: saved.contacts || {}, optOut: saved.optOut || {} };
+  if (u) u.contactBook = book;
+  return book;
+}
+
+function saveBook(username, book) {
+  const u = USERSG()[username];
+  if (u) u.contactBook = book;
+  try {
+    writeJSON(getUserPaths(username).contacts, book);
+  } catch (e) {
+    console.warn(`[contacts] Failed to save contacts for ${username}: ${e.message}`);
+  }
+  return book;
+}
+
+function contactName(username, jid) {
+  return loadBook(username).contacts[jid]?.name || formatNumber(jid);
+}
+
+/* ----------------------------- opt-out ---------------------------------- */
+
+function isOptedOut(username, jid) {
+  return !!loadBook(username).optOut[normaliseJid(jid)];
+}
+
+// Registers every id the contact is known under (phone JID, LID). Returns true if any was new.
+function optOut(username, jids, via = 'reply') {
+  const book = loadBook(username);
+  let added = false;
+  for (const jid of jids.map(normaliseJid)) {
+    if (book.optOut[jid]) continue;
+    book.optOut[jid] = { at: Date.now(), via };
+    added = true;
+  }
+  if (added) saveBook(username, book);
+  return added;
+}
+
+function optIn(username, jids) {
+  const book = loadBook(username);
+  let removed = false;
+  for (const jid of jids.map(normaliseJid)) {
+    if (!book.optOut[jid]) continue;
+    delete book.optOut[jid];
+    removed = true;
+  }
+  if (removed) saveBook(username, book);
+  return removed;
+}
+
+function listOptOuts(username) {
+  const book = loadBook(username);
+  return Object.entries(book.optOut)
+    .map(([jid, o]) => ({ jid, name: book.contacts[jid]?.name || null, at: o.at, via: o.via }))
+    .sort((a, b) => b.at - a.at);
+}
+
+/* ------------------------------ import ---------------------------------- */
+
+// Splits one CSV line, honouring "quoted, fields" and "" escapes
+function splitCsvLine(line, sep) {
+  const out = [];
+  let cur = '', quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === sep) { out.push(cur.trim()); cur = ''; }
+    else cur += ch;
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+// CSV with an optional header row (phone/number/mobile + name columns); without one,
+// the first column that looks like a number is the phone and the next one the name.
+function parseCsv(text) {
+  const lines = String(text || '').split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return [];
+  const sep = [',', ';', '\t'].sort((a, b) => lines[0].split(b).length - lines[0].split(a).length)[0];
+  const head = splitCsvLine(lines[0], sep).map(h => h.toLowerCase());
+  let phoneCol = head.findIndex(h => /phone|number|mobile|tel|whatsapp/.test(h));
+  let nameCol = head.findIndex(h => /name/.test(h));
+  const rows = lines.map(l => splitCsvLine(l, sep));
+  if (phoneCol !== -1) rows.shift();
+  else {
+    phoneCol = rows[0].findIndex(c => toContactJid(c));
+    if (phoneCol === -1) phoneCol = 0;
+    nameCol = rows[0].length > 1 ? (phoneCol === 0 ? 1 : 0) : -1;
+  }
+  return rows.map(r => ({ phone: r[phoneCol] || '', name: nameCol !== -1 ? (r[nameCol] || '') : '' }));
+}
+
+// vCard 2.1–4.0: one entry per card, preferring WhatsApp's waid= parameter over the TEL value
+function parseVcard(text) {
+  const unfolded = String(text || '').replace(/\r?\n[ \t]/g, '');
+  const cards = unfolded.split(/BEGIN:VCARD/i).slice(1);
+  return cards.map(card => {
+    const lines = card.split(/\r?\n/);
+    const fn = lines.find(l => /^FN[;:]/i.test(l));
+    const n = lines.find(l => /^N[;:]/i.test(l));
+    const tel = lines.find(l => /^(item\d+\.)?TEL[;:]/i.test(l)) || '';
+    const waid = tel.match(/waid=(\d+)/i);
+    const name = fn ? fn.slice(fn.indexOf(':') + 1)
+      : n ? n.slice(n.indexOf(':') + 1).split(';').filter(Boolean).reverse().join(' ') : '';
+    return { phone: waid ? waid[1] : tel.slice(tel.indexOf(':') + 1), name: name.trim() };
+  });
+}
+
+// format: 'csv' | 'vcard' (guessed from the data when omitted)
+function parseContactImport(data, format) {
+  const kind = format ? String(format).toLowerCase() : (/BEGIN:VCARD/i.test(data) ? 'vcard' : 'csv');
+  if (!['csv', 'vcard', 'vcf'].includes(kind)) throw new Error(`Unknown format "${format}" (csv or vcard)`);
+  return kind === 'csv' ? parseCsv(data) : parseVcard(data);
+}
+
+/* ------------------------------ lists ----------------------------------- */
+
+// Adds [{ phone|jid, name }] to a contact list (created if missing) and the name book.
+// Opted-out contacts are not added. Returns { list, added, existing, optedOut, invalid, total }.
+function addToContactList(username, list, entries) {
+  const name = String(list || '').trim();
+  if (!name) throw new Error('Missing contact list name');
+
+  const u = USERSG()[username];
+  const paths = getUserPaths(username);
+  const categories = u?.categories && Object.keys(u.categories).length ? u.categories : readJSON(paths.categories, {});
+  const book = loadBook(username);
+  const members = new Set(categories[name] || []);
+  const report = { list: name, added: 0, existing: 0, optedOut: 0, invalid: [] };
+
+  for (const entry of entries || []) {
+    const jid = toContactJid(entry.jid || entry.phone);
+    if (!jid) { report.invalid.push(entry.phone || entry.jid || ''); continue; }
+    if (book.optOut[jid]) { report.optedOut++; continue; }
+    if (entry.name) book.contacts[jid] = { ...(book.contacts[jid] || {}), name: String(entry.name).trim() };
+    if (!book.contacts[jid]) book.contacts[jid] = { name: null };
+    book.contacts[jid].addedAt = book.contacts[jid].addedAt || Date.now();
+    if (members.has(jid)) { report.existing++; continue; }
+    members.add(jid);
+    report.added++;
+  }
+
+  categories[name] = Array.from(members);
+  if (u) u.categories = categories;
+  saveBook(username, book);
+  writeJSON(paths.categories, categories);
+  try { saveUserState(username, categories, u?.allGroups || readJSON(paths.groups, {})); } catch {}
+  report.total = categories[name].length;
+  return report;
+}
+
+// Categories that hold contacts: { name: { contacts, groups } }
+function contactLists(username) {
+  const u = USERSG()[username];
+  const categories = u?.categories && Object.keys(u.categories).length
+    ? u.categories
+    : readJSON(getUserPaths(username).categories, {});
+  const out = {};
+  for (const [name, jids] of Object.entries(categories)) {
+    const contacts = (jids || []).filter(isContactJid);
+    if (contacts.length) out[name] = { contacts, groups: jids.length - contacts.length };
+  }
+  return out;
+}
+
+module.exports = {
+  isContactJid,
+  toContactJid,
+  formatNumber,
+  optKeyword,
+  contactName,
+  isOptedOut,
+  optOut,
+  optIn,
+  listOptOuts,
+  parseContactImport,
+  addToContactList,
+  contactLists
+};
@@ -0,0 +1,77 @@
+// lib/events.js
+// Per-user event hub behind GET /events/:username (Server-Sent Events).
+// Event types:
+//   status     { connected, needsRelink, qrAvailable, ... }  merged from every notifyFrontend call
+//   qr         { available, attempts, pausedUntil }
+//   connection { state: 'open' | 'close', code?, message? }
+//   progress   { jobId, batch, totalBatches, sent, failed, skipped, total, status }
+//   scan       { groups, categories, kept, fixed, dropped, adminsOnly }
+// The last event of each type is kept, so a late subscriber starts from the current state.
+
+/* ----------------------------- config ---------------------------------- */
+
+const HEARTBEAT_MS = 25_000;
+const RETRY_MS = 3000;
+
+/* ------------------------------- hub ------------------------------------ */
+
+const hubs = new Map(); // username → { clients: Set<res>, last: { type: event }, status: {} }
+let seq = 0;
+
+function hubFor(username) {
+  if (!hubs.has(username)) hubs.set(username, { clients: new Set(), last: {}, status: {} });
+  return hubs.get(username);
+}
+
+function frame(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`;
+}
+
+function emitEvent(username, type, data = {}) {
+  const hub = hubFor(username);
+  const event = { id: ++seq, type, data, at: Date.now() };
+  hub.last[type] = event;
+  for (const res of hub.clients) {
+    try { res.write(frame(event)); } catch {}
+  }
+  return event;
+}
+
+// Merges into the running connection status and emits the whole thing
+function emitStatus(username, patch) {
+  const hub = hubFor(username);
+  hub.status = { ...hub.status, ...patch };
+  return emitEvent(username, 'status', hub.status);
+}
+
+// Turns an express response into an SSE stream; lastEventId skips what the client already saw
+function subscribe(username, req, res) {
+  const hub = hubFor(username);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const lastEventId = Number(req.headers['last-event-id']) || 0;
+  Object.values(hub.last)
+    .filter(e => e.id > lastEventId)
+    .sort((a, b) => a.id - b.id)
+    .forEach(e => res.write(frame(e)));
+
+  hub.clients.add(res);
+  const heartbeat = setInterval(() => {
+    try { res.write(': ping\n\n'); } catch {}
+  }, HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    hub.clients.delete(res);
+  });
+}
+
+function subscriberCount(username) {
+  return hubs.get(username)?.clients.size || 0;
+}
+
+module.exports = { emitEvent, emitStatus, subscribe, subscriberCount };
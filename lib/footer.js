@@ -0,0 +1,63 @@
+// lib/footer.js
+// Footer appended to every broadcast text/caption.
+// settings.footer = { enabled, text, categories: { <Category>: { enabled?, text? } } }
+// Category entries override the user-level footer; missing fields fall through.
+
+const DEFAULT_FOOTER = '— Sent automatically via whats-broadcast-hub.lovable.app';
+const MAX_FOOTER_LENGTH = 300;
+
+function resolveFooter(settings = {}, category = null) {
+  const user = settings.footer || {};
+  const cat = (category && user.categories?.[category]) || {};
+  const enabled = cat.enabled ?? user.enabled ?? true;
+  if (!enabled) return null;
+  const text = cat.text ?? user.text ?? DEFAULT_FOOTER;
+  return String(text).trim() || null;
+}
+
+// Every footer this user could currently be sending (for echo detection)
+function allFooters(settings = {}) {
+  const user = settings.footer || {};
+  const out = new Set([DEFAULT_FOOTER]);
+  if (user.text) out.add(String(user.text).trim());
+  for (const c of Object.values(user.categories || {})) {
+    if (c?.text) out.add(String(c.text).trim());
+  }
+  return Array.from(out).filter(Boolean);
+}
+
+function withFooter(raw, footer = DEFAULT_FOOTER) {
+  const text = (raw || '').trim();
+  if (!footer) return text;
+  if (text.toLowerCase().includes(footer.toLowerCase())) return text;
+  return text.length ? `${text}\n\n${footer}` : footer;
+}
+
+function hasKnownFooter(settings, text) {
+  const t = String(text || '').toLowerCase();
+  return !!t && allFooters(settings).some(f => t.includes(f.toLowerCase()));
+}
+
+// change: { enabled?, text? } — text null resets to the inherited footer
+function applyFooterChange(target = {}, change = {}) {
+  const next = { ...target };
+  if (change.enabled !== undefined) next.enabled = !!change.enabled;
+  if (change.text !== undefined) {
+    if (change.text === null || change.text === '') delete next.text;
+    else {
+      const text = String(change.text).trim();
+      if (text.length > MAX_FOOTER_LENGTH) throw new Error(`Footer too long (max ${MAX_FOOTER_LENGTH} chars)`);
+      next.text = text;
+    }
+  }
+  return next;
+}
+
+module.exports = {
+  DEFAULT_FOOTER,
+  resolveFooter,
+  allFooters,
+  withFooter,
+  hasKnownFooter,
+  applyFooterChange
+};
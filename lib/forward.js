@@ -0,0 +1,108 @@
+// lib/forward.js
+// Auto-forwarding rules: new posts in a watched source chat (group or contact)
+// are relayed to a category through the normal broadcast queue.
+// Rules live in settings.forwardRules:
+//   [{ id, source, sourceName, category, keywords: [], marker, enabled, createdAt }]
+
+const { getSettings, updateSettings } = require('./settings');
+
+/* ----------------------------- helpers ---------------------------------- */
+
+function newRuleId() {
+  return `fw-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+}
+
+// "a, b c" | ['a', 'b'] → ['a', 'b', 'c'] (lowercase, unique)
+function parseKeywords(input) {
+  const list = Array.isArray(input) ? input : String(input || '').split(/[,\s]+/);
+  return Array.from(new Set(list.map(k => String(k).trim().toLowerCase()).filter(Boolean)));
+}
+
+// Phone number or user JID → contact JID, or null
+function contactJid(input) {
+  const raw = String(input || '').trim();
+  if (/@(s\.whatsapp\.net|lid)$/.test(raw)) return raw;
+  const digits = raw.replace(/[^\d]/g, '');
+  return /^\+?[\d\s()-]+$/.test(raw) && digits.length >= 7 ? `${digits}@s.whatsapp.net` : null;
+}
+
+/* ------------------------------ store ----------------------------------- */
+
+function listRules(username) {
+  return getSettings(username).forwardRules || [];
+}
+
+function addRule(username, { source, sourceName, category, keywords, marker = true }) {
+  if (!source) throw new Error('Unknown source chat');
+  if (!category) throw new Error('Missing target category');
+  if (listRules(username).some(r => r.source === source && r.category === category)) {
+    throw new Error(`${sourceName || source} already forwards to ${category}`);
+  }
+  const rule = {
+    id: newRuleId(),
+    source,
+    sourceName: sourceName || source,
+    category,
+    keywords: parseKeywords(keywords),
+    marker: !!marker,
+    enabled: true,
+    createdAt: Date.now()
+  };
+  updateSettings(username, (st) => { st.forwardRules = [...(st.forwardRules || []), rule]; });
+  return rule;
+}
+
+// patch: { category?, keywords?, marker?, enabled? }
+function updateRule(username, id, patch = {}) {
+  let updated = null;
+  updateSettings(username, (st) => {
+    st.forwardRules = (st.forwardRules || []).map(r => {
+      if (r.id !== id) return r;
+      updated = { ...r };
+      if (patch.category !== undefined) updated.category = String(patch.category);
+      if (patch.keywords !== undefined) updated.keywords = parseKeywords(patch.keywords);
+      if (patch.marker !== undefined) updated.marker = !!patch.marker;
+      if (patch.enabled !== undefined) updated.enabled = !!patch.enabled;
+      return updated;
+    });
+  });
+  return updated;
+}
+
+function removeRule(username, id) {
+  const rule = listRules(username).find(r => r.id === id) || null;
+  if (rule) updateSettings(username, (st) => { st.forwardRules = (st.forwardRules || []).filter(r => r.id !== id); });
+  return rule;
+}
+
+/* ----------------------------- matching --------------------------------- */
+
+function rulesForSource(username, jid) {
+  return listRules(username).filter(r => r.enabled && r.source === jid);
+}
+
+// No keywords = everything; otherwise any keyword in the text/caption
+function matchesKeywords(rule, text) {
+  if (!rule.keywords?.length) return true;
+  const t = String(text || '').toLowerCase();
+  return rule.keywords.some(k => t.includes(k));
+}
+
+function formatRule(rule, i) {
+  const kw = rule.keywords?.length ? ` [${rule.keywords.join(', ')}]` : '';
+  const flags = `${rule.marker ? ' ↪️' : ''}${rule.enabled ? '' : ' (off)'}`;
+  const target = rule.category === '__ALL__' ? 'ALL' : rule.category;
+  return `${i + 1}. ${rule.sourceName} → ${target}${kw}${flags}`;
+}
+
+module.exports = {
+  parseKeywords,
+  contactJid,
+  listRules,
+  addRule,
+  updateRule,
+  removeRule,
+  rulesForSource,
+  matchesKeywords,
+  formatRule
+};
@@ -0,0 +1,175 @@
+// lib/governor.js
+// Per-account anti-ban send governor.
+//  - counts every group send in rolling minute / hour / day windows
+//  - enforces ceilings (env defaults, per-user overrides in settings.governor)
+//  - widens the batch interval and shrinks batches after rate-limit style
+//    errors, then slowly recovers once sends go through cleanly again
+//  - paces individual contacts (not groups) one at a time with a longer, jittered gap
+// Counters live in users/<name>/governor.json so a restart doesn't reset the day.
+
+const { readJSON, writeJSON, getUserPaths } = require('./utils');
+const { getSettings } = require('./settings');
+
+/* ----------------------------- config ---------------------------------- */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const DEFAULT_LIMITS = {
+  perMinute: parseInt(process.env.GOV_MAX_PER_MINUTE || '40', 10),
+  perHour:   parseInt(process.env.GOV_MAX_PER_HOUR || '500', 10),
+  perDay:    parseInt(process.env.GOV_MAX_PER_DAY || '2000', 10)
+};
+
+const BASE_BATCH_SIZE   = parseInt(process.env.BATCH_SIZE || '5', 10);
+const BASE_INTERVAL_MS  = parseInt(process.env.BATCH_INTERVAL_MS || '6000', 10);
+const MAX_INTERVAL_MS   = 5 * MINUTE_MS;
+const MAX_PENALTY       = 4;
+// Direct messages to contacts get reported as spam far quicker than group posts
+const CONTACT_INTERVAL_MS = parseInt(process.env.CONTACT_INTERVAL_MS || '20000', 10);
+const RECOVER_AFTER_MS  = 10 * MINUTE_MS; // one penalty level back per clean stretch
+// Waits shorter than this are slept through; longer ones defer the job
+const MAX_INLINE_WAIT_MS = 2 * MINUTE_MS;
+const SAVE_DEBOUNCE_MS  = 5000;
+
+// Only real throttling; not-acceptable is an admins-only group, not a rate limit
+const RATE_LIMIT_RE = /rate-?overlimit|too many|\b429\b/i;
+
+/* ----------------------------- state ----------------------------------- */
+
+const states = new Map();     // username -> { sends: number[], penalty, penaltyAt }
+const saveTimers = new Map(); // username -> timeout
+
+function stateFor(username) {
+  let st = states.get(username);
+  if (st) return st;
+  const saved = readJSON(getUserPaths(username).governor, {});
+  st = {
+    sends: Array.isArray(saved.sends) ? saved.sends : [],
+    penalty: saved.penalty || 0,
+    penaltyAt: saved.penaltyAt || 0
+  };
+  states.set(username, st);
+  return st;
+}
+
+function scheduleSave(username) {
+  if (saveTimers.has(username)) return;
+  saveTimers.set(username, setTimeout(() => {
+    saveTimers.delete(username);
+    const st = stateFor(username);
+    try {
+      writeJSON(getUserPaths(username).governor, st);
+    } catch (e) {
+      console.warn(`[governor] Failed to save counters for ${username}: ${e.message}`);
+    }
+  }, SAVE_DEBOUNCE_MS).unref()); // never what keeps a finished process (or test run) alive
+}
+
+function prune(st, now = Date.now()) {
+  if (st.sends.length && now - st.sends[0] > DAY_MS) {
+    st.sends = st.sends.filter(t => now - t <= DAY_MS);
+  }
+  // decay the backoff after a quiet, error-free stretch
+  while (st.penalty > 0 && now - st.penaltyAt > RECOVER_AFTER_MS) {
+    st.penalty--;
+    st.penaltyAt += RECOVER_AFTER_MS;
+  }
+}
+
+/* ----------------------------- limits ---------------------------------- */
+
+function getLimits(username) {
+  const custom = getSettings(username).governor || {};
+  const out = { ...DEFAULT_LIMITS };
+  for (const k of Object.keys(DEFAULT_LIMITS)) {
+    const v = parseInt(custom[k], 10);
+    if (Number.isFinite(v) && v > 0) out[k] = v;
+  }
+  return out;
+}
+
+function getUsage(username) {
+  const st = stateFor(username);
+  const now = Date.now();
+  prune(st, now);
+  let minute = 0, hour = 0;
+  for (const t of st.sends) {
+    if (now - t <= HOUR_MS) hour++;
+    if (now - t <= MINUTE_MS) minute++;
+  }
+  return { minute, hour, day: st.sends.length, penalty: st.penalty };
+}
+
+// When could the next send go out? { waitMs: 0, remaining } means now, with
+// `remaining` sends left before the tightest window fills up.
+function checkQuota(username) {
+  const st = stateFor(username);
+  const now = Date.now();
+  prune(st, now);
+  const limits = getLimits(username);
+  const windows = [
+    { reason: 'day', limit: limits.perDay, span: DAY_MS },
+    { reason: 'hour', limit: limits.perHour, span: HOUR_MS },
+    { reason: 'minute', limit: limits.perMinute, span: MINUTE_MS }
+  ];
+  let remaining = Infinity;
+  for (const w of windows) {
+    const inWindow = st.sends.filter(t => now - t <= w.span);
+    if (inWindow.length >= w.limit) {
+      // the window frees up when its oldest counted send ages out
+      const oldest = inWindow[inWindow.length - w.limit];
+      const waitMs = Math.max(1000, oldest + w.span - now);
+      return { waitMs, reason: w.reason, limit: w.limit, inline: waitMs <= MAX_INLINE_WAIT_MS };
+    }
+    remaining = Math.min(remaining, w.limit - inWindow.length);
+  }
+  return { waitMs: 0, remaining };
+}
+
+/* ----------------------------- pacing ---------------------------------- */
+
+// Current batch size / interval for this account given its backoff level.
+// opts.contacts: the batch goes to contacts → one per batch, up to +50% random gap
+function planBatch(username, opts = {}) {
+  const st = stateFor(username);
+  prune(st);
+  if (opts.contacts) {
+    const base = Math.min(CONTACT_INTERVAL_MS * Math.pow(2, st.penalty), MAX_INTERVAL_MS);
+    return { batchSize: 1, intervalMs: Math.round(base * (1 + Math.random() * 0.5)), penalty: st.penalty };
+  }
+  const limits = getLimits(username);
+  const batchSize = Math.max(1, Math.min(BASE_BATCH_SIZE >> st.penalty, limits.perMinute));
+  const intervalMs = Math.min(BASE_INTERVAL_MS * Math.pow(2, st.penalty), MAX_INTERVAL_MS);
+  return { batchSize, intervalMs, penalty: st.penalty };
+}
+
+function recordSend(username) {
+  const st = stateFor(username);
+  st.sends.push(Date.now());
+  scheduleSave(username);
+}
+
+function isRateLimitError(msg) {
+  return RATE_LIMIT_RE.test(String(msg || ''));
+}
+
+function recordRateLimit(username, msg) {
+  const st = stateFor(username);
+  st.penalty = Math.min(MAX_PENALTY, st.penalty + 1);
+  st.penaltyAt = Date.now();
+  console.warn(`[governor] ${username} backoff → level ${st.penalty} (${String(msg).slice(0, 80)})`);
+  scheduleSave(username);
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  getLimits,
+  getUsage,
+  checkQuota,
+  planBatch,
+  recordSend,
+  isRateLimitError,
+  recordRateLimit
+};
@@ -0,0 +1,134 @@
+// lib/inbox.js
+// Opt-in reply inbox: group messages that quote one of our broadcasts (or
+// mention us) are kept in users/<name>/inbox.json with a running number, so the
+// owner can see them in a digest and answer with /reply <n> <text>.
+
+const { readJSON, writeJSON, getUserPaths, normaliseJid } = require('./utils');
+const { getSettings, updateSettings } = require('./settings');
+const { findSentMessage } = require('./receipts');
+
+/* ----------------------------- config ---------------------------------- */
+
+const INBOX_MAX_ITEMS = 200;
+const TEXT_MAX = 300;
+
+function USERSG() { return global.USERS || (global.USERS = {}); }
+
+function bareJid(j) { return String(j || '').replace(/:[^@]+(?=@)/, ''); }
+
+/* ----------------------------- options ---------------------------------- */
+
+// settings.inbox = { enabled, mentions } — mentions: also collect @-mentions of us
+function getInboxOptions(username) {
+  const o = getSettings(username).inbox || {};
+  return { enabled: !!o.enabled, mentions: o.mentions !== false };
+}
+
+function setInboxOptions(username, patch) {
+  updateSettings(username, (st) => { st.inbox = { ...getInboxOptions(username), ...patch }; });
+  return getInboxOptions(username);
+}
+
+/* ------------------------------ store ----------------------------------- */
+
+function loadInbox(username) {
+  const u = USERSG()[username] || {};
+  if (!u.inbox) u.inbox = readJSON(getUserPaths(username).inbox, { seq: 0, items: [] });
+  return u.inbox;
+}
+
+function saveInbox(username, inbox) {
+  try {
+    writeJSON(getUserPaths(username).inbox, inbox);
+  } catch (e) {
+    console.warn(`[inbox] Failed to save inbox for ${username}: ${e.message}`);
+  }
+}
+
+function getInboxItem(username, n) {
+  return loadInbox(username).items.find(i => i.n === n) || null;
+}
+
+function listInbox(username, limit = 10) {
+  return loadInbox(username).items.slice(-limit);
+}
+
+/* ----------------------------- capture ---------------------------------- */
+
+// The contextInfo of whatever node the (unwrapped) message carries
+function findContextInfo(content) {
+  for (const node of Object.values(content || {})) {
+    if (node && typeof node === 'object' && node.contextInfo) return node.contextInfo;
+  }
+  return null;
+}
+
+// Stores a group message if it replies to a broadcast or mentions us.
+// content: unwrapped message content; text: its text/caption. Returns the item or null.
+function captureInboxMessage(username, sock, msg, content, text) {
+  const u = USERSG()[username] || {};
+  const jid = msg.key?.remoteJid;
+  const opts = getInboxOptions(username);
+  if (!opts.enabled || !jid?.endsWith('@g.us') || msg.key.fromMe) return null;
+  if (!u.allGroups?.[jid]) return null; // only groups we broadcast to
+
+  const ctx = findContextInfo(content);
+  const quoted = ctx?.stanzaId ? findSentMessage(username, ctx.stanzaId) : null;
+  const selfIds = new Set([sock.user?.id, sock.user?.lid].filter(Boolean).map(bareJid));
+  const mentioned = opts.mentions && (ctx?.mentionedJid || []).some(j => selfIds.has(bareJid(j)));
+  if (!quoted && !mentioned) return null;
+
+  const inbox = loadInbox(username);
+  const item = {
+    n: ++inbox.seq,
+    jid,
+    group: u.allGroups[jid]?.name || jid,
+    sender: normaliseJid(msg.key.participant || ''),
+    senderName: msg.pushName || null,
+    text: String(text || '').slice(0, TEXT_MAX) || '[media]',
+    kind: quoted ? 'reply' : 'mention',
+    jobId: quoted?.job.id || null,
+    key: msg.key,
+    at: Date.now(),
+    notified: false
+  };
+  inbox.items.push(item);
+  if (inbox.items.length > INBOX_MAX_ITEMS) inbox.items.splice(0, inbox.items.length - INBOX_MAX_ITEMS);
+  saveInbox(username, inbox);
+  return item;
+}
+
+// Items not yet sent to the owner; marks them as sent
+function takeUnnotified(username) {
+  const inbox = loadInbox(username);
+  const fresh = inbox.items.filter(i => !i.notified);
+  if (!fresh.length) return [];
+  for (const i of fresh) i.notified = true;
+  saveInbox(username, inbox);
+  return fresh;
+}
+
+/* ------------------------------ format ---------------------------------- */
+
+function formatInboxItem(item) {
+  const who = item.senderName || item.sender.split('@')[0] || 'someone';
+  const icon = item.kind === 'reply' ? '↩️' : '@';
+  const text = item.text.length > 120 ? item.text.slice(0, 120) + '…' : item.text;
+  return `#${item.n} ${icon} *${item.group}* — ${who}: ${text}`;
+}
+
+// The message a /reply quotes: the original key plus its text
+function quotedFor(item) {
+  return { key: item.key, message: { conversation: item.text } };
+}
+
+module.exports = {
+  getInboxOptions,
+  setInboxOptions,
+  captureInboxMessage,
+  takeUnnotified,
+  getInboxItem,
+  listInbox,
+  formatInboxItem,
+  quotedFor
+};
@@ -0,0 +1,308 @@
+// lib/jobs.js
+// Durable broadcast jobs: one JSON file per job under users/<name>/jobs/.
+// Per-group outcomes are written after every batch (and on status changes), so a
+// restart can pick the job back up without re-sending to groups that already got it.
+// Finished jobs are kept for JOB_RETENTION_MS (30 days by default), then deleted.
+
+const fs = require('fs');
+const path = require('path');
+
+const { readJSON, writeJSON, getUserPaths } = require('./utils');
+
+/* ----------------------------- config ---------------------------------- */
+
+// Unfinished jobs older than this are not resumed (tmp media is gone by then)
+const JOB_RESUME_MAX_AGE_MS = parseInt(process.env.JOB_RESUME_MAX_AGE_MS || String(24 * 60 * 60 * 1000), 10);
+
+// Finished jobs are deleted once their file hasn't changed for this long
+const JOB_RETENTION_MS = parseInt(process.env.JOB_RETENTION_MS || String(30 * 24 * 60 * 60 * 1000), 10);
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const DONE_STATUSES = new Set(['completed', 'cancelled', 'expired']);
+
+// Queue priorities; higher runs first, FIFO within the same priority
+const PRIORITIES = { high: 10, normal: 0, low: -10 };
+
+// Failure buckets for reports, checked in order against the error text
+const FAILURE_KINDS = [
+  ['opted-out', /opted-out/i],
+  ['rate-limited', /rate|too many|slow down|\b429\b/i],
+  ['timeout', /TIMEOUT|timed out/i],
+  ['not-admin', /announce-only|not-acceptable|not-authorized|unauthorized|\b40[16]\b/i],
+  ['removed', /forbidden|item-not-found|missing|not a participant|\b40[34]\b/i],
+  ['connection', /SOCKET_NOT_OPEN|Connection Closed|stream closed|connection lost/i],
+  ['media-missing', /File not found/i],
+  ['cancelled', /CANCELLED/i]
+];
+const FAILURE_LABELS = {
+  'rate-limited': 'rate-limited',
+  timeout: 'timeout',
+  'not-admin': 'not admin',
+  removed: 'removed from group',
+  connection: 'connection lost',
+  'media-missing': 'media missing',
+  cancelled: 'cancelled',
+  'opted-out': 'opted out (STOP)',
+  other: 'other'
+};
+
+// Live job objects are shared between the sender and the receipt listeners,
+// so both always mutate (and save) the same record.
+const JOB_CACHE_MAX = 50;
+const cache = new Map(); // `${username}:${jobId}` -> job
+
+// Unfinished jobs are loaded from disk once per process and kept current by saveJob,
+// so the queue never has to re-read every job file
+const unfinished = new Map(); // username -> Map(jobId -> job)
+const lastPruned = new Map(); // username -> timestamp
+const saveTimers = new Map(); // `${username}:${jobId}` -> { timer, username, job } (saveJobSoon)
+
+/* ----------------------------- helpers ---------------------------------- */
+
+function jobFile(username, jobId) {
+  return path.join(getUserPaths(username).jobs, `${jobId}.json`);
+}
+
+function newJobId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// 'high' | 'normal' | 'low' or a number → numeric priority
+function parsePriority(value) {
+  if (value == null || value === '') return PRIORITIES.normal;
+  const named = PRIORITIES[String(value).toLowerCase()];
+  if (named !== undefined) return named;
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? Math.max(-100, Math.min(100, n)) : PRIORITIES.normal;
+}
+
+function isJobDone(job) {
+  return !!job && DONE_STATUSES.has(job.status);
+}
+
+function remember(username, job) {
+  const key = `${username}:${job.id}`;
+  cache.delete(key);
+  cache.set(key, job);
+  if (cache.size > JOB_CACHE_MAX) {
+    for (const [k, j] of cache) {
+      // a pending debounced save goes out first, so a later getJob never reads a stale file
+      if (isJobDone(j)) { flushSave(k); cache.delete(k); break; }
+    }
+  }
+  return job;
+}
+
+// The live object for a job, if one is loaded
+function loaded(username, jobId) {
+  return cache.get(`${username}:${jobId}`) || unfinished.get(username)?.get(jobId) || null;
+}
+
+function unfinishedFor(username) {
+  let idx = unfinished.get(username);
+  if (idx) return idx;
+  idx = new Map();
+  unfinished.set(username, idx);
+  for (const job of listJobs(username)) {
+    if (!isJobDone(job)) idx.set(job.id, job);
+  }
+  return idx;
+}
+
+function track(username, job) {
+  const idx = unfinished.get(username);
+  if (!idx) return;
+  if (isJobDone(job)) idx.delete(job.id);
+  else idx.set(job.id, job);
+}
+
+/* ------------------------------ store ----------------------------------- */
+
+function flushSave(key) {
+  const pending = saveTimers.get(key);
+  if (pending) saveJob(pending.username, pending.job);
+}
+
+function saveJob(username, job) {
+  const pending = saveTimers.get(`${username}:${job.id}`);
+  if (pending) { clearTimeout(pending.timer); saveTimers.delete(`${username}:${job.id}`); }
+  job.updatedAt = Date.now();
+  try {
+    writeJSON(jobFile(username, job.id), job);
+  } catch (e) {
+    console.warn(`[jobs] Failed to save job ${job.id} for ${username}: ${e.message}`);
+  }
+  track(username, job);
+  return job;
+}
+
+// Debounced saveJob for frequent small updates (delivery receipts)
+function saveJobSoon(username, job, delayMs) {
+  const key = `${username}:${job.id}`;
+  if (saveTimers.has(key)) return;
+  saveTimers.set(key, { username, job, timer: setTimeout(() => flushSave(key), delayMs) });
+}
+
+function getJob(username, jobId) {
+  if (!jobId) return null;
+  const live = loaded(username, jobId);
+  if (live) return live;
+  const job = readJSON(jobFile(username, jobId), null);
+  return job ? remember(username, job) : null;
+}
+
+// urgent: ignores send windows (quiet hours)
+function createJob(username, { id, from, jids, content, category, priority, source, urgent }) {
+  const job = {
+    id: id || newJobId(),
+    username,
+    from: from || null,
+    category: category || null,
+    priority: parsePriority(priority),
+    source: source || 'chat',
+    ...(urgent ? { urgent: true } : {}),
+    jids: Array.from(new Set((jids || []).filter(Boolean))),
+    content: content || {},
+    status: 'queued',
+    results: {},
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+  return saveJob(username, remember(username, job));
+}
+
+function listJobs(username) {
+  const dir = getUserPaths(username).jobs;
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => loaded(username, f.slice(0, -5)) || readJSON(path.join(dir, f), null))
+    .filter(Boolean)
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+}
+
+// Deletes finished job files that haven't changed for JOB_RETENTION_MS
+function pruneJobs(username) {
+  const dir = getUserPaths(username).jobs;
+  if (!fs.existsSync(dir)) return 0;
+  const idx = unfinishedFor(username);
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  let removed = 0;
+  for (const f of fs.readdirSync(dir)) {
+    const jobId = f.slice(0, -5);
+    if (!f.endsWith('.json') || idx.has(jobId) || saveTimers.has(`${username}:${jobId}`)) continue;
+    try {
+      const file = path.join(dir, f);
+      if (fs.statSync(file).mtimeMs >= cutoff) continue;
+      fs.unlinkSync(file);
+      cache.delete(`${username}:${jobId}`);
+      removed++;
+    } catch (e) {
+      console.warn(`[jobs] Failed to prune ${f} for ${username}: ${e.message}`);
+    }
+  }
+  if (removed) console.log(`[jobs] Pruned ${removed} finished job(s) for ${username}`);
+  return removed;
+}
+
+function listUnfinishedJobs(username) {
+  const now = Date.now();
+  if (now - (lastPruned.get(username) || 0) > PRUNE_INTERVAL_MS) {
+    lastPruned.set(username, now);
+    pruneJobs(username);
+  }
+  const out = [];
+  for (const job of [...unfinishedFor(username).values()]) {
+    if (now - (job.createdAt || 0) > JOB_RESUME_MAX_AGE_MS) {
+      setJobStatus(username, job, 'expired');
+      continue;
+    }
+    out.push(job);
+  }
+  return out.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+}
+
+/* ----------------------------- updates ---------------------------------- */
+
+function setJobStatus(username, job, status) {
+  job.status = status;
+  if (isJobDone(job)) job.finishedAt = Date.now();
+  return saveJob(username, job);
+}
+
+function classifyError(error) {
+  const text = String(error || '');
+  for (const [kind, re] of FAILURE_KINDS) if (re.test(text)) return kind;
+  return 'other';
+}
+
+// result: { status: 'sent' | 'failed' | 'skipped', error? }; failures also get a `reason` bucket.
+// Only updates the record; the caller saves once per batch.
+function recordResult(username, job, jid, result) {
+  job.results[jid] = { ...result, at: Date.now() };
+  if (result.status !== 'sent') job.results[jid].reason = classifyError(result.error);
+  return job;
+}
+
+// Groups that did not get the message, with why: [{ jid, status, reason, error }]
+function failedResults(job) {
+  return (job.jids || [])
+    .filter(jid => ['failed', 'skipped'].includes(job.results?.[jid]?.status))
+    .map(jid => {
+      const r = job.results[jid];
+      return { jid, status: r.status, reason: r.reason || classifyError(r.error), error: r.error || null };
+    });
+}
+
+// { reason: count } over failed + skipped groups
+function failureBreakdown(job) {
+  const out = {};
+  for (const f of failedResults(job)) out[f.reason] = (out[f.reason] || 0) + 1;
+  return out;
+}
+
+// Started jobs first (they already hold the socket's place), then queued ones by priority
+function pendingJobs(username) {
+  const jobs = listUnfinishedJobs(username);
+  const queued = jobs
+    .filter(j => j.status === 'queued')
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0) || (a.createdAt || 0) - (b.createdAt || 0));
+  return [...jobs.filter(j => j.status !== 'queued'), ...queued];
+}
+
+function remainingJids(job) {
+  return (job.jids || []).filter(j => job.results?.[j]?.status !== 'sent');
+}
+
+function countResults(job) {
+  const counts = { sent: 0, failed: 0, skipped: 0 };
+  for (const r of Object.values(job.results || {})) {
+    if (counts[r.status] !== undefined) counts[r.status]++;
+  }
+  return counts;
+}
+
+/* ------------------------------ exports --------------------------------- */
+
+module.exports = {
+  PRIORITIES,
+  parsePriority,
+  newJobId,
+  isJobDone,
+  createJob,
+  getJob,
+  saveJob,
+  saveJobSoon,
+  listJobs,
+  listUnfinishedJobs,
+  pruneJobs,
+  pendingJobs,
+  setJobStatus,
+  recordResult,
+  FAILURE_LABELS,
+  classifyError,
+  failedResults,
+  failureBreakdown,
+  remainingJids,
+  countResults
+};
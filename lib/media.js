@@ -1,22 +1,249 @@
 // lib/media.js
-const { downloadMediaMessage } = require('@whiskeysockets/baileys');
+// The one media pipeline for broadcasts:
+//   capture  → download self-chat media into users/<name>/tmp
+//   prepare  → normalise + upload to WhatsApp once per job
+//   send     → relay the cached media reference to every target group
+// A fresh upload only happens when WhatsApp rejects the cached reference.
+
+const fs = require('fs');
+const path = require('path');
+const {
+  downloadMediaMessage,
+  prepareWAMessageMedia,
+  generateWAMessageFromContent,
+  proto
+} = require('@whiskeysockets/baileys');
+
+const { sleep, getUserPaths } = require('./utils');
 const { normaliseImage } = require('./media-normalise');
+const { buildPollContent } = require('./polls');
+
+/* ----------------------------- config ---------------------------------- */
+
+const MEDIA_KINDS = ['image', 'video', 'document', 'audio', 'sticker'];
+const CAPTION_KINDS = new Set(['image', 'video', 'document']);
+const MEDIA_EXT = {
+  'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp',
+  'video/mp4': 'mp4', 'video/3gpp': '3gp',
+  'audio/ogg': 'ogg', 'audio/mpeg': 'mp3', 'audio/mp4': 'm4a', 'audio/aac': 'aac',
+  'application/pdf': 'pdf'
+};
+
+// Re-upload a cached reference once it is this old (e.g. a job resumed next day)
+const PREPARED_TTL_MS = 6 * 60 * 60 * 1000;
+// Errors that mean WhatsApp no longer accepts the uploaded media reference (stale or expired
+// URL/key); anything else, timeouts and refusals included, is an ordinary send failure
+const MEDIA_REJECTED_RE = /\bmedia\b.*\b(expired|gone|not found)\b|\b(404|410)\b/i;
+
+/* --------------------------- message helpers ---------------------------- */
+
+// Describes the media in an (unwrapped) message: { kind, caption, mimetype, fileName, ptt }
+function getMediaInfo(content) {
+  const m = content || {};
+  for (const kind of MEDIA_KINDS) {
+    const node = m[`${kind}Message`];
+    if (!node) continue;
+    return {
+      kind,
+      caption: CAPTION_KINDS.has(kind) ? (node.caption || '') : '',
+      mimetype: node.mimetype || null,
+      fileName: node.fileName || null,
+      ptt: kind === 'audio' ? !!node.ptt : undefined
+    };
+  }
+  return null;
+}
+
+function mediaExtension(info) {
+  const fromName = path.extname(info.fileName || '').slice(1);
+  if (fromName) return fromName;
+  const mime = String(info.mimetype || '').split(';')[0].trim();
+  return MEDIA_EXT[mime] || (info.kind === 'sticker' ? 'webp' : 'bin');
+}
+
+// Which media kind a broadcast payload carries ({ image: { url } }, { video: { url } }, ...)
+function mediaKindOf(content) {
+  return MEDIA_KINDS.find(k => content?.[k]?.url) || null;
+}
+
+// Builds the broadcast payload for a captured self-chat media message
+function buildMediaContent(pending) {
+  const { kind, filePath, caption, mimetype, fileName, ptt } = pending;
+  const content = { [kind]: { url: filePath } };
+  if (CAPTION_KINDS.has(kind)) content.caption = caption || '';
+  if (mimetype && kind !== 'image') content.mimetype = mimetype;
+  if (kind === 'document') content.fileName = fileName || path.basename(filePath);
+  if (kind === 'audio') content.ptt = !!ptt;
+  return content;
+}
+
+// Maps an API / scheduled_jobs payload ({ message_type, content }) onto the
+// shape sendInBatches expects. Media rows carry `<type>_url` (or `url`)
+// plus optional caption / file_name / mimetype / ptt; polls carry name + values.
+// `mentionAll: true` on text/media rows mentions every group member.
+function buildScheduledContent(messageType, content = {}) {
+  const flags = content.mentionAll ? { mentionAll: true } : {};
+  if (messageType === 'text') return content.text ? { text: content.text, ...flags } : null;
+  if (messageType === 'poll') {
+    // { name | question, values | options, selectableCount? }
+    try {
+      return buildPollContent({
+        name: content.name || content.question,
+        values: content.values || content.options,
+        selectableCount: content.selectableCount ?? content.selectable_count
+      });
+    } catch {
+      return null;
+    }
+  }
+  if (!MEDIA_KINDS.includes(messageType)) return null;
+
+  const url = content[`${messageType}_url`] || content.url;
+  if (!url) return null;
+  const out = { [messageType]: { url } };
+  if (CAPTION_KINDS.has(messageType)) out.caption = content.caption || '';
+  if (content.mimetype) out.mimetype = content.mimetype;
+  if (messageType === 'document') out.fileName = content.file_name || content.fileName || 'file';
+  if (messageType === 'audio') out.ptt = !!content.ptt;
+  return { ...out, ...flags };
+}
+
+/* ------------------------------ capture --------------------------------- */
+
+async function safeDownloadMedia(msg, sock, retries = 8, delay = 3000) {
+  for (let i = 0; i < retries; i++) {
+    try {
+      const buffer = await downloadMediaMessage(
+        msg, 'buffer', {},
+        { logger: sock.logger, reuploadRequest: sock.updateMediaMessage.bind(sock) }
+      );
+      if (buffer?.length) return buffer;
+    } catch (e) {
+      console.warn(`[media] Download attempt ${i + 1} failed: ${e.message}`);
+    }
+    if (i < retries - 1) await sleep(delay);
+  }
+  return null;
+}
+
+/* ------------------------------ prepare --------------------------------- */
+
+const prepared = new Map(); // `${username}:${jobId}` -> { message, at }
+const reuploads = new Map(); // `${username}:${jobId}` -> Promise<message>; at most one per job
+
+function isRemote(url) {
+  return /^https?:\/\//i.test(String(url));
+}
+
+function mediaSourceExists(content) {
+  const kind = mediaKindOf(content);
+  if (!kind) return false;
+  const url = content[kind].url;
+  return isRemote(url) || fs.existsSync(url);
+}
+
+// Normalises and uploads the job's media once; returns the proto.Message holding the reference.
+async function prepareJobMedia(sock, username, jobId, content) {
+  const kind = mediaKindOf(content);
+  if (!kind) throw new Error('No media in payload');
+  const url = content[kind].url;
+
+  const upload = { [kind]: { url } };
+  if (kind === 'image' && !isRemote(url)) {
+    const raw = fs.readFileSync(url);
+    try {
+      const { buffer, mimetype } = await normaliseImage(raw);
+      upload.image = buffer;
+      upload.mimetype = mimetype;
+    } catch {
+      upload.image = raw;
+    }
+  }
+  if (content.mimetype && !upload.mimetype) upload.mimetype = content.mimetype;
+  if (kind === 'document') upload.fileName = content.fileName || 'file';
+  if (kind === 'audio') upload.ptt = !!content.ptt;
+
+  const message = await prepareWAMessageMedia(upload, {
+    upload: sock.waUploadToServer,
+    logger: sock.logger
+  });
+  prepared.set(`${username}:${jobId}`, { message, at: Date.now() });
+  console.log(`[media] Uploaded ${kind} once for job ${jobId}`);
+  return message;
+}
+
+async function getPreparedMedia(sock, username, jobId, content) {
+  const hit = prepared.get(`${username}:${jobId}`);
+  if (hit && Date.now() - hit.at < PREPARED_TTL_MS) return hit.message;
+  return prepareJobMedia(sock, username, jobId, content);
+}
+
+// Groups that hit a stale reference together share one re-upload
+function reuploadJobMedia(sock, username, jobId, content) {
+  const key = `${username}:${jobId}`;
+  if (!reuploads.has(key)) reuploads.set(key, prepareJobMedia(sock, username, jobId, content));
+  return reuploads.get(key);
+}
+
+/* -------------------------------- send ---------------------------------- */
+
+async function relayPrepared(sock, jid, prepared, kind, caption, contextInfo) {
+  // clone so per-group captions never leak between sends
+  const message = proto.Message.decode(proto.Message.encode(prepared).finish());
+  const node = message[`${kind}Message`];
+  if (CAPTION_KINDS.has(kind)) node.caption = caption || '';
+  if (contextInfo) node.contextInfo = { ...(node.contextInfo || {}), ...contextInfo };
+  const full = generateWAMessageFromContent(jid, message, { userJid: sock.user?.id });
+  await sock.relayMessage(jid, full.message, { messageId: full.key.id });
+  return full;
+}
+
+// Sends the job's media to one group, reusing the cached upload.
+// contextInfo (optional) is merged into the media node, e.g. the forwarded flag.
+// send wraps each relay (the caller's timeout/retry); uploads run outside it.
+async function sendPreparedMedia(sock, username, jobId, jid, content, caption, contextInfo, send = (relay) => relay()) {
+  const kind = mediaKindOf(content);
+  const relay = (message) => send(() => relayPrepared(sock, jid, message, kind, caption, contextInfo));
+  const message = await getPreparedMedia(sock, username, jobId, content);
+  try {
+    return await relay(message);
+  } catch (err) {
+    if (!MEDIA_REJECTED_RE.test(String(err?.message || err))) throw err;
+    const fresh = await reuploadJobMedia(sock, username, jobId, content);
+    if (fresh === message) throw err; // already the re-uploaded copy
+    console.warn(`[media] Cached ${kind} rejected for ${jid}; using the re-upload`);
+    return relay(fresh);
+  }
+}
 
-/**
- * Capture an incoming image and store a safe, WA-acceptable version in memory.
- * This is used by any flow that broadcasts from memory instead of temp files.
- */
-async function handleIncomingImage({ sock, USERS, username, msg, captionText }) {
-  const u = USERS[username] || (USERS[username] = {});
-  const raw = await downloadMediaMessage(msg, 'buffer', {});
-  const { buffer, mimetype } = await normaliseImage(raw);
+/* ------------------------------ release --------------------------------- */
 
-  u.lastMedia = {
-    kind: 'image',
-    buffer,
-    mimetype,               // guaranteed jpeg/png/webp
-    caption: captionText || ''
-  };
+// Tmp media belongs to the job; drop it (and the cached upload) once the job can no longer resume.
+// Files of jobs with failed groups stay for /retryfailed until the cleanup sweep (24h).
+function releaseJobMedia(username, job) {
+  if (!job) return;
+  prepared.delete(`${username}:${job.id}`);
+  reuploads.delete(`${username}:${job.id}`);
+  const kind = mediaKindOf(job.content);
+  const file = kind && job.content[kind].url;
+  if (!file || isRemote(file)) return;
+  const retryable = Object.values(job.results || {}).some(r => r.status === 'failed' || r.status === 'skipped');
+  if (retryable) return;
+  const tmpDir = getUserPaths(username).tmp;
+  if (path.resolve(file).startsWith(path.resolve(tmpDir) + path.sep)) {
+    try { fs.unlinkSync(file); } catch {}
+  }
 }
 
-module.exports = { handleIncomingImage };
+module.exports = {
+  CAPTION_KINDS,
+  getMediaInfo,
+  mediaExtension,
+  mediaKindOf,
+  buildMediaContent,
+  buildScheduledContent,
+  safeDownloadMedia,
+  mediaSourceExists,
+  sendPreparedMedia,
+  releaseJobMedia
+};
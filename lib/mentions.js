@@ -0,0 +1,74 @@
+// lib/mentions.js
+// "Mention everyone" broadcasts: every member of a target group is put in the
+// message's mentions so groups muted to mentions-only still notify.
+// Limits live in settings.mentionAll = { maxGroupSize, optOut: [Category, ...] }.
+
+const { getSettings, updateSettings } = require('./settings');
+
+/* ----------------------------- config ---------------------------------- */
+
+const DEFAULT_MAX_GROUP_SIZE = parseInt(process.env.MENTION_ALL_MAX_GROUP_SIZE || '256', 10);
+const MENTION_TOKEN_RE = /(^|\s)@all\b/gi;
+
+/* ------------------------------ policy ---------------------------------- */
+
+function getMentionPolicy(username) {
+  const p = getSettings(username).mentionAll || {};
+  const max = parseInt(p.maxGroupSize, 10);
+  return {
+    maxGroupSize: Number.isInteger(max) && max > 0 ? max : DEFAULT_MAX_GROUP_SIZE,
+    optOut: Array.isArray(p.optOut) ? p.optOut : []
+  };
+}
+
+// patch: { maxGroupSize?, optOut?: [..], addOptOut?: Cat, removeOptOut?: Cat }
+function updateMentionPolicy(username, patch = {}) {
+  updateSettings(username, (st) => {
+    const cur = getMentionPolicy(username);
+    let optOut = patch.optOut !== undefined ? patch.optOut : cur.optOut;
+    if (patch.addOptOut) optOut = Array.from(new Set([...optOut, patch.addOptOut]));
+    if (patch.removeOptOut) optOut = optOut.filter(c => c !== patch.removeOptOut);
+    st.mentionAll = {
+      maxGroupSize: patch.maxGroupSize !== undefined ? patch.maxGroupSize : cur.maxGroupSize,
+      optOut
+    };
+  });
+  return getMentionPolicy(username);
+}
+
+// Why a group won't get mentions for this broadcast, or null
+function mentionBlocker(policy, category, groupSize) {
+  if (category && policy.optOut.includes(category)) return 'category opted out';
+  if (groupSize > policy.maxGroupSize) return `over ${policy.maxGroupSize} members`;
+  return null;
+}
+
+/* ------------------------------ content --------------------------------- */
+
+function stripMentionToken(text) {
+  MENTION_TOKEN_RE.lastIndex = 0;
+  if (typeof text !== 'string' || !MENTION_TOKEN_RE.test(text)) return null;
+  return text.replace(MENTION_TOKEN_RE, '$1').replace(/[ \t]{2,}/g, ' ').trim();
+}
+
+// Strips an "@all" token from text/caption (and any variant texts) and turns it into content.mentionAll
+function applyMentionToken(content) {
+  const key = content?.text !== undefined ? 'text' : (content?.caption !== undefined ? 'caption' : null);
+  if (!key) return content;
+  let out = content;
+  const stripped = stripMentionToken(content[key]);
+  if (stripped !== null) out = { ...out, [key]: stripped, mentionAll: true };
+  if (content.variants?.some(v => stripMentionToken(v.text) !== null)) {
+    const variants = content.variants.map(v => ({ ...v, text: stripMentionToken(v.text) ?? v.text }));
+    out = { ...out, variants, mentionAll: true };
+  }
+  return out;
+}
+
+module.exports = {
+  DEFAULT_MAX_GROUP_SIZE,
+  getMentionPolicy,
+  updateMentionPolicy,
+  mentionBlocker,
+  applyMentionToken
+};
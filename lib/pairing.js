@@ -0,0 +1,144 @@
+// lib/pairing.js
+// Phone-number pairing: instead of scanning a QR, the user types an 8-character
+// code into WhatsApp (Linked devices → Link with phone number).
+// State lives on USERS[name].pairing = { phone, code, codeTs, attempts, pausedUntil, error }
+// and has its own attempt limit / cooldown, separate from the QR counters.
+
+/* ----------------------------- config ---------------------------------- */
+
+const MAX_PAIRING_ATTEMPTS = 3;
+const PAIRING_COOLDOWN_MS = 30 * 60 * 1000; // 30m
+// A code stays usable for a few minutes; the socket's QR refreshes don't need a new one
+const PAIRING_CODE_TTL_MS = 3 * 60 * 1000;
+const PAIRING_WAIT_MS = 20_000;
+
+/* ----------------------------- helpers ---------------------------------- */
+
+function USERSG() { return global.USERS || (global.USERS = {}); }
+
+// "+44 7700 900123" → "447700900123" (digits with country code), or null
+function normalisePairingPhone(input) {
+  const digits = String(input || '').replace(/[^\d]/g, '').replace(/^00/, '');
+  return digits.length >= 8 && digits.length <= 15 ? digits : null;
+}
+
+function pairingState(u) {
+  if (!u.pairing) u.pairing = { phone: null, code: null, codeTs: 0, attempts: 0, pausedUntil: 0, error: null };
+  return u.pairing;
+}
+
+// Why a new code can't be requested right now, or null
+function pairingBlocker(u, now = Date.now()) {
+  const p = u.pairing;
+  if (u.socketActive) return 'already connected';
+  if (p?.pausedUntil && now < p.pausedUntil) return `too many attempts, retry in ${Math.ceil((p.pausedUntil - now) / 60000)}m`;
+  return null;
+}
+
+// Arms pairing for the next session start (or the live socket's next QR refresh)
+function startPairing(u, phone) {
+  const p = pairingState(u);
+  if (p.pausedUntil && Date.now() >= p.pausedUntil) { p.attempts = 0; p.pausedUntil = 0; }
+  p.phone = phone;
+  p.code = null;
+  p.codeTs = 0;
+  p.error = null;
+  return p;
+}
+
+// Called from connection.update when the socket is ready to link (the `qr` event).
+// Returns true when the pairing flow handled it (so the QR is not shown).
+async function handlePairingReady(username, u, sock) {
+  const p = u.pairing;
+  if (!p?.phone || sock.authState?.creds?.registered) return false;
+  const now = Date.now();
+  if (p.pausedUntil && now < p.pausedUntil) return true;
+  if (p.code && now - p.codeTs < PAIRING_CODE_TTL_MS) return true;
+  if (p.requesting) return true;
+
+  p.requesting = true;
+  try {
+    const code = await sock.requestPairingCode(p.phone);
+    p.code = code;
+    p.codeTs = Date.now();
+    p.attempts += 1;
+    p.error = null;
+    console.log(`[${username}] Pairing code issued for +${p.phone} (attempt ${p.attempts})`);
+  } catch (e) {
+    p.attempts += 1;
+    p.error = e?.message || String(e);
+    console.warn(`[${username}] Pairing code request failed: ${p.error}`);
+  } finally {
+    p.requesting = false;
+  }
+  if (p.attempts >= MAX_PAIRING_ATTEMPTS) {
+    p.pausedUntil = Date.now() + PAIRING_COOLDOWN_MS;
+    console.warn(`[${username}] Too many pairing attempts. Paused ${PAIRING_COOLDOWN_MS / 60000}m`);
+  }
+  return true;
+}
+
+// Resolves with the current code once one is issued (or null after PAIRING_WAIT_MS)
+async function waitForPairingCode(u, timeoutMs = PAIRING_WAIT_MS) {
+  const until = Date.now() + timeoutMs;
+  while (Date.now() < until) {
+    const p = u.pairing;
+    if (!p?.phone || u.socketActive) return null;
+    if (p.code) return p.code;
+    if (p.error && !p.requesting) return null;
+    await new Promise(r => setTimeout(r, 500));
+  }
+  return u.pairing?.code || null;
+}
+
+// Arms pairing for `phone` and gets a code: starts the session if there is none, or asks the
+// live socket directly when it is already waiting to be linked. Returns { ok, status?, error?, pairing }.
+async function pairWithPhone(username, phoneInput, startSession) {
+  const phone = normalisePairingPhone(phoneInput);
+  if (!phone) return { ok: false, status: 400, error: 'Invalid phone number (digits with country code, e.g. 447700900123)' };
+  const u = USERSG()[username] || (USERSG()[username] = {});
+  const blocker = pairingBlocker(u);
+  if (blocker) return { ok: false, status: u.socketActive ? 409 : 429, error: blocker, pairing: pairingStatus(u) };
+
+  startPairing(u, phone);
+  if (u.sock && !u.socketActive && u.lastQR) {
+    u.lastQR = null;
+    await handlePairingReady(username, u, u.sock);
+  } else {
+    await startSession(username);
+  }
+  await waitForPairingCode(u);
+  return { ok: true, pairing: pairingStatus(u) };
+}
+
+// Back to QR linking; attempts and cooldown stay until the session opens
+function clearPairing(u) {
+  if (u.pairing) Object.assign(u.pairing, { phone: null, code: null, codeTs: 0, error: null });
+}
+
+// What /status, /qr-status and /pair report
+function pairingStatus(u, now = Date.now()) {
+  const p = u.pairing || {};
+  const fresh = !!p.code && now - p.codeTs < PAIRING_CODE_TTL_MS;
+  return {
+    active: !!p.phone,
+    phone: p.phone ? `+${p.phone}` : null,
+    code: fresh ? p.code : null,
+    codeReady: fresh,
+    expiresAt: fresh ? p.codeTs + PAIRING_CODE_TTL_MS : 0,
+    attempts: p.attempts || 0,
+    maxAttempts: MAX_PAIRING_ATTEMPTS,
+    pausedUntil: p.pausedUntil || 0,
+    pausedForMs: p.pausedUntil && p.pausedUntil > now ? p.pausedUntil - now : 0,
+    error: p.error || null
+  };
+}
+
+module.exports = {
+  MAX_PAIRING_ATTEMPTS,
+  normalisePairingPhone,
+  handlePairingReady,
+  pairWithPhone,
+  clearPairing,
+  pairingStatus
+};
@@ -0,0 +1,169 @@
+// lib/polls.js
+// Native WhatsApp polls broadcast to many groups, with one merged tally.
+// Every group gets its own poll message, but all of a job's polls share one
+// messageSecret, so any incoming vote can be decrypted with what the job stores.
+
+const crypto = require('crypto');
+const { decryptPollVote, jidNormalizedUser } = require('@whiskeysockets/baileys');
+
+const { saveJob } = require('./jobs');
+const { findSentMessage } = require('./receipts');
+
+/* ----------------------------- config ---------------------------------- */
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 12; // WhatsApp's own limit
+
+/* ------------------------------ content --------------------------------- */
+
+// { name, values, selectableCount } → { poll } payload, or throws with a user-facing reason.
+// selectableCount: 1 = single choice, 0 = any number of options
+function buildPollContent({ name, values, selectableCount = 1 } = {}) {
+  const question = String(name || '').trim();
+  const options = Array.from(new Set((values || []).map(v => String(v || '').trim()).filter(Boolean)));
+  if (!question) throw new Error('A poll needs a question');
+  if (options.length < MIN_OPTIONS) throw new Error(`A poll needs at least ${MIN_OPTIONS} different options`);
+  if (options.length > MAX_OPTIONS) throw new Error(`A poll can have at most ${MAX_OPTIONS} options`);
+  const count = parseInt(selectableCount, 10);
+  return {
+    poll: {
+      name: question,
+      values: options,
+      selectableCount: Number.isInteger(count) && count >= 0 && count <= options.length ? count : 1
+    }
+  };
+}
+
+// "/poll Question | A | B" (or "/poll* ..." for multiple choice)
+function parsePollCommand(body) {
+  const multi = body.startsWith('/poll*');
+  const [name, ...values] = body.slice(multi ? 6 : 5).split('|');
+  return buildPollContent({ name, values, selectableCount: multi ? 0 : 1 });
+}
+
+// The job's shared secret; created on first send
+function ensurePollSecret(username, job) {
+  if (!job.pollSecret) {
+    job.pollSecret = crypto.randomBytes(32).toString('base64');
+    saveJob(username, job);
+  }
+  return Buffer.from(job.pollSecret, 'base64');
+}
+
+function pollSummary(poll) {
+  return [`📊 ${poll.name}`, ...poll.values.map(v => `○ ${v}`)].join('\n');
+}
+
+/* ------------------------------- votes ---------------------------------- */
+
+function optionHash(name) {
+  return crypto.createHash('sha256').update(Buffer.from(name)).digest('hex');
+}
+
+// Group messages carrying a pollUpdateMessage: decrypt and store the voter's
+// current choice on the job. Returns true when the vote belonged to one of our polls.
+function applyPollUpdate(username, sock, msg) {
+  const update = msg.message?.pollUpdateMessage;
+  const creationId = update?.pollCreationMessageKey?.id;
+  const hit = creationId && findSentMessage(username, creationId);
+  if (!hit?.job.pollSecret || !hit.job.content?.poll) return false;
+
+  const { job, result } = hit;
+  const creators = [sock.user?.id, sock.user?.lid].filter(Boolean).map(jidNormalizedUser);
+  const voters = [msg.key.participant, msg.key.participantPn, msg.key.participantAlt]
+    .filter(Boolean).map(jidNormalizedUser);
+  if (msg.key.fromMe) voters.push(...creators);
+
+  let vote = null, voter = null;
+  for (const v of voters) {
+    for (const c of creators) {
+      try {
+        vote = decryptPollVote(update.vote, {
+          pollCreatorJid: c,
+          pollMsgId: creationId,
+          pollEncKey: Buffer.from(job.pollSecret, 'base64'),
+          voterJid: v
+        });
+        voter = v;
+        break;
+      } catch {}
+    }
+    if (vote) break;
+  }
+  if (!vote) {
+    console.warn(`[${username}] Could not decrypt poll vote on ${creationId} in ${hit.jid}`);
+    return true;
+  }
+
+  const byHash = Object.fromEntries(job.content.poll.values.map(v => [optionHash(v), v]));
+  const selected = (vote.selectedOptions || [])
+    .map(h => byHash[Buffer.from(h).toString('hex')])
+    .filter(Boolean);
+
+  // a new vote replaces the voter's previous one; an empty vote is a retraction
+  result.votes = result.votes || {};
+  if (selected.length) result.votes[voter] = selected;
+  else delete result.votes[voter];
+  saveJob(username, job);
+  return true;
+}
+
+/* ------------------------------- tally ---------------------------------- */
+
+// Merged counts across every group the poll reached
+function tallyPoll(job, allGroups = {}) {
+  const poll = job.content?.poll || { name: '', values: [] };
+  const totals = Object.fromEntries(poll.values.map(v => [v, 0]));
+  const groups = [];
+  let voters = 0;
+  for (const jid of job.jids || []) {
+    const r = job.results?.[jid];
+    if (r?.status !== 'sent') continue;
+    const counts = {};
+    const entries = Object.values(r.votes || {});
+    for (const choice of entries) {
+      for (const opt of choice) {
+        totals[opt] = (totals[opt] || 0) + 1;
+        counts[opt] = (counts[opt] || 0) + 1;
+      }
+    }
+    voters += entries.length;
+    groups.push({ jid, name: allGroups[jid]?.name || jid, voters: entries.length, counts });
+  }
+  const votes = Object.values(totals).reduce((a, b) => a + b, 0);
+  return {
+    question: poll.name,
+    multiple: poll.selectableCount === 0,
+    options: poll.values.map(v => ({ name: v, votes: totals[v] || 0 })),
+    votes,
+    voters,
+    groupsSent: groups.length,
+    groupsVoted: groups.filter(g => g.voters).length,
+    groups
+  };
+}
+
+function formatPollResults(job, allGroups = {}) {
+  const t = tallyPoll(job, allGroups);
+  const lines = [
+    `📊 *Poll results* (job ${job.id})`,
+    `❓ ${t.question}`,
+    `${t.voters} voter(s) in ${t.groupsVoted}/${t.groupsSent} group(s)`
+  ];
+  const ranked = [...t.options].sort((a, b) => b.votes - a.votes);
+  for (const o of ranked) {
+    const pct = t.votes ? Math.round((o.votes / t.votes) * 100) : 0;
+    lines.push(`• ${o.name} — ${o.votes} (${pct}%)`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  buildPollContent,
+  parsePollCommand,
+  ensurePollSecret,
+  pollSummary,
+  applyPollUpdate,
+  tallyPoll,
+  formatPollResults
+};
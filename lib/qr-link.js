@@ -0,0 +1,59 @@
+// lib/qr-link.js
+// Server-side QR rendering and the signed, short-lived tokens behind the /link/:username page.
+// Token = "<expiresAt>.<hmac(username.expiresAt)>" (base64url), so nothing is stored server-side.
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+/* ----------------------------- config ---------------------------------- */
+
+// LINK_SECRET signs the tokens. Without it a key is derived from ADMIN_SECRET (never the
+// secret itself, which doubles as the admin bearer token); without either it is per-process,
+// so links stop working after a restart.
+const LINK_SECRET = process.env.LINK_SECRET
+  || (process.env.ADMIN_SECRET && crypto.createHmac('sha256', process.env.ADMIN_SECRET).update('link-token').digest('hex'))
+  || crypto.randomBytes(32).toString('hex');
+const LINK_TOKEN_TTL_MS = Number(process.env.LINK_TOKEN_TTL_MS) || 30 * 60 * 1000; // 30m
+
+/* ------------------------------ render ---------------------------------- */
+
+// QR payload → PNG buffer or SVG string
+async function renderQr(qr, format = 'png') {
+  if (format === 'svg') return QRCode.toString(qr, { type: 'svg', margin: 2 });
+  return QRCode.toBuffer(qr, { type: 'png', margin: 2, width: 320 });
+}
+
+// "user_ab12.png" → { username: 'user_ab12', format: 'png' }; no suffix → format null
+function splitQrFormat(param) {
+  const m = String(param || '').match(/^(.+)\.(png|svg)$/i);
+  return m ? { username: m[1], format: m[2].toLowerCase() } : { username: param, format: null };
+}
+
+/* ------------------------------ tokens ---------------------------------- */
+
+function sign(username, expiresAt) {
+  return crypto.createHmac('sha256', LINK_SECRET).update(`${username}.${expiresAt}`).digest('base64url');
+}
+
+function signLinkToken(username, ttlMs = LINK_TOKEN_TTL_MS) {
+  const expiresAt = Date.now() + ttlMs;
+  return { token: `${expiresAt}.${sign(username, expiresAt)}`, expiresAt };
+}
+
+// Returns the expiry timestamp for a valid token, or null
+function verifyLinkToken(username, token) {
+  const [exp, mac] = String(token || '').split('.');
+  const expiresAt = Number(exp);
+  if (!expiresAt || !mac || expiresAt < Date.now()) return null;
+  const expected = Buffer.from(sign(username, expiresAt));
+  const given = Buffer.from(mac);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? expiresAt : null;
+}
+
+module.exports = {
+  LINK_TOKEN_TTL_MS,
+  renderQr,
+  splitQrFormat,
+  signLinkToken,
+  verifyLinkToken
+};
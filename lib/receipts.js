@@ -0,0 +1,121 @@
+// lib/receipts.js
+// Delivery/read tracking for broadcast messages.
+// Maps each sent message id back to its (job, group) and folds the socket's
+// `messages.update` / `message-receipt.update` events into the job record.
+
+const { getJob, listJobs, saveJobSoon } = require('./jobs');
+
+/* ----------------------------- config ---------------------------------- */
+
+// proto.WebMessageInfo.Status, in ascending order of progress
+const STATUS_NAMES = ['error', 'pending', 'server-ack', 'delivered', 'read', 'played'];
+const INDEX_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // only index jobs from the last week
+const SAVE_DEBOUNCE_MS = 2000;
+
+/* ----------------------------- state ----------------------------------- */
+
+const indexes = new Map();   // username -> Map(messageId -> { jobId, jid })
+
+function indexFor(username) {
+  let idx = indexes.get(username);
+  if (idx) return idx;
+  idx = new Map();
+  indexes.set(username, idx);
+  // Rebuild from disk once per process so receipts after a restart still land
+  const cutoff = Date.now() - INDEX_MAX_AGE_MS;
+  for (const job of listJobs(username)) {
+    if ((job.createdAt || 0) < cutoff) continue;
+    for (const [jid, r] of Object.entries(job.results || {})) {
+      if (r.messageId) idx.set(r.messageId, { jobId: job.id, jid });
+    }
+  }
+  return idx;
+}
+
+function lookup(username, messageId) {
+  const hit = messageId && indexFor(username).get(messageId);
+  if (!hit) return null;
+  const job = getJob(username, hit.jobId);
+  const result = job?.results?.[hit.jid];
+  if (!result) return null;
+  if (!result.delivery) result.delivery = { status: 'pending', delivered: [], read: [] };
+  return { job, jid: hit.jid, result };
+}
+
+// Which broadcast (job + group) a message id we sent belongs to, or null
+function findSentMessage(username, messageId) {
+  return lookup(username, messageId);
+}
+
+function bumpStatus(delivery, status) {
+  if (STATUS_NAMES.indexOf(status) > STATUS_NAMES.indexOf(delivery.status)) delivery.status = status;
+}
+
+/* ----------------------------- tracking -------------------------------- */
+
+// Called by the sender right after a group accepted the message
+function trackSentMessage(username, jobId, jid, key) {
+  if (!key?.id) return;
+  indexFor(username).set(key.id, { jobId, jid });
+}
+
+// sock.ev 'messages.update' → overall status of our message in that chat
+function applyMessageUpdates(username, updates) {
+  for (const { key, update } of updates || []) {
+    if (!key?.fromMe || typeof update?.status !== 'number') continue;
+    const hit = lookup(username, key.id);
+    if (!hit) continue;
+    const name = STATUS_NAMES[update.status];
+    if (!name) continue;
+    if (name === 'error') hit.result.delivery.status = 'error';
+    else bumpStatus(hit.result.delivery, name);
+    saveJobSoon(username, hit.job, SAVE_DEBOUNCE_MS);
+  }
+}
+
+// sock.ev 'message-receipt.update' → per-participant receipts in groups
+function applyReceiptUpdates(username, updates) {
+  for (const { key, receipt } of updates || []) {
+    const hit = lookup(username, key?.id);
+    if (!hit || !receipt?.userJid) continue;
+    const d = hit.result.delivery;
+    if (!d.delivered.includes(receipt.userJid)) d.delivered.push(receipt.userJid);
+    bumpStatus(d, 'delivered');
+    if (receipt.readTimestamp || receipt.playedTimestamp) {
+      if (!d.read.includes(receipt.userJid)) d.read.push(receipt.userJid);
+      bumpStatus(d, 'read');
+    }
+    saveJobSoon(username, hit.job, SAVE_DEBOUNCE_MS);
+  }
+}
+
+/* ------------------------------ reporting ------------------------------- */
+
+function buildDeliveryTable(job, allGroups = {}) {
+  const totals = { pending: 0, 'server-ack': 0, delivered: 0, read: 0, error: 0 };
+  const groups = [];
+  for (const jid of job.jids || []) {
+    const r = job.results?.[jid];
+    if (r?.status !== 'sent') continue;
+    const d = r.delivery || { status: 'pending', delivered: [], read: [] };
+    const status = d.status === 'played' ? 'read' : d.status;
+    totals[status] = (totals[status] || 0) + 1;
+    groups.push({
+      jid,
+      name: allGroups[jid]?.name || jid,
+      messageId: r.messageId || null,
+      status,
+      deliveredCount: (d.delivered || []).length,
+      readCount: (d.read || []).length
+    });
+  }
+  return { totals, groups };
+}
+
+module.exports = {
+  trackSentMessage,
+  findSentMessage,
+  applyMessageUpdates,
+  applyReceiptUpdates,
+  buildDeliveryTable
+};
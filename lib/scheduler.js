@@ -1,6 +1,19 @@
 // lib/scheduler.js
 const { supabase } = require("./db");
-const { sendInBatches } = require("./broadcast");
+const { enqueueBroadcast, kickQueue } = require("./broadcast");
+const { buildScheduledContent } = require("./media");
+const { getJob, isJobDone } = require("./jobs");
+const { windowFor, windowState, formatWindow } = require("./windows");
+const { wakeSession } = require("./session-policy");
+
+const heldRows = new Set(); // rows already logged as waiting for their send window
+
+// Mirrors a finished queue job back onto its scheduled_jobs row
+async function markRow(id, job) {
+  const status = job?.status === "completed" ? "sent" : "failed";
+  await supabase.from("scheduled_jobs").update({ status }).eq("id", id);
+  console.log(`[Scheduler] ${status === "sent" ? "✅ Sent" : "❌ Failed"} job ${id} (${job?.status || "missing"})`);
+}
 
 async function processJobs(USERS) {
   const now = new Date().toISOString();
@@ -17,10 +30,18 @@ async function processJobs(USERS) {
   for (const job of jobs) {
     const { username, category, message_type, content, id } = job;
     const u = USERS[username];
-    if (!u || !u.sock || !u.socketActive) {
-      console.warn(`[Scheduler] ${username} offline, skipping job ${id}`);
+    if (!u) {
+      console.warn(`[Scheduler] Unknown user ${username}, skipping job ${id}`);
       continue;
     }
+    // a session asleep after idling is reconnected from its saved login first
+    if (!u.sock || !u.socketActive) {
+      console.log(`[Scheduler] ${username} offline, waking session for job ${id}`);
+      if (!(await wakeSession(username))) {
+        console.warn(`[Scheduler] ${username} could not be woken (no saved login?), skipping job ${id}`);
+        continue;
+      }
+    }
 
     const jids =
       category === "__ALL__"
@@ -32,22 +53,37 @@ async function processJobs(USERS) {
       continue;
     }
 
+    // outside the category's send window: leave the row pending, a later tick picks it up
+    const win = job.urgent ? null : windowFor(username, category);
+    const winState = windowState(win);
+    if (!winState.open && !getJob(username, `job-${id}`)) {
+      if (!heldRows.has(id)) {
+        heldRows.add(id);
+        console.log(`[Scheduler] Holding job ${id} for ${username} until ${new Date(winState.opensAt).toISOString()} (${formatWindow(win)})`);
+      }
+      continue;
+    }
+    heldRows.delete(id);
+
     const jobId = `job-${id}`;
     try {
-      if (message_type === "text") {
-        await sendInBatches(u.sock, username, u.ownerJid, jids, { text: content.text }, jobId);
-      } else if (message_type === "image") {
-        await sendInBatches(
-          u.sock,
-          username,
-          u.ownerJid,
-          jids,
-          { image: { url: content.image_url }, caption: content.caption || "" },
-          jobId
-        );
+      // already queued on an earlier tick: only settle the row once the queue is done with it
+      const existing = getJob(username, jobId);
+      if (existing) {
+        if (isJobDone(existing)) await markRow(id, existing);
+        continue;
       }
-      await supabase.from("scheduled_jobs").update({ status: "sent" }).eq("id", id);
-      console.log(`[Scheduler] ✅ Sent job ${id} for ${username}`);
+
+      const messageContent = buildScheduledContent(message_type, content || {});
+      if (!messageContent) throw new Error(`Unsupported message_type "${message_type}"`);
+      const { position, finished } = enqueueBroadcast(username, {
+        id: jobId, jids, content: messageContent, category, priority: job.priority, source: "scheduler", urgent: !!job.urgent
+      });
+      console.log(`[Scheduler] Queued job ${id} for ${username} (${position} ahead)`);
+      kickQueue(username);
+      finished
+        .then((done) => isJobDone(done) && markRow(id, done))
+        .catch((err) => console.error(`[Scheduler] Job ${id} status update failed:`, err.message));
     } catch (err) {
       console.error(`[Scheduler] ❌ Job ${id} failed:`, err.message);
       await supabase.from("scheduled_jobs").update({ status: "failed" }).eq("id", id);
@@ -55,8 +91,15 @@ async function processJobs(USERS) {
   }
 }
 
+let ticking = false;
+
 function startScheduler(USERS) {
-  setInterval(() => processJobs(USERS), 60_000);
+  // a tick can outlast the interval while it waits for sessions to wake
+  setInterval(async () => {
+    if (ticking) return;
+    ticking = true;
+    try { await processJobs(USERS); } finally { ticking = false; }
+  }, 60_000);
   console.log("[Scheduler] ⏰ Job processor started (every 1 min)");
 }
 
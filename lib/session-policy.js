@@ -0,0 +1,68 @@
+// lib/session-policy.js
+// What happens to a WhatsApp session once it has been idle for SESSION_TIMEOUT_MS:
+//   always-on       never disconnected; started at boot when it has saved auth
+//   idle-keep-auth  disconnected but the login is kept; woken for scheduled jobs, queued
+//                   broadcasts and API calls that need the socket
+//   wipe-on-idle    disconnected and logged out (the next login needs a new QR)
+// Stored per user in settings.sessionPolicy; SESSION_POLICY sets the default.
+
+const { getSettings, updateSettings } = require('./settings');
+
+/* ----------------------------- config ---------------------------------- */
+
+const SESSION_POLICIES = ['always-on', 'idle-keep-auth', 'wipe-on-idle'];
+const DEFAULT_SESSION_POLICY = SESSION_POLICIES.includes(process.env.SESSION_POLICY)
+  ? process.env.SESSION_POLICY
+  : 'idle-keep-auth';
+
+/* ------------------------------ policy ---------------------------------- */
+
+function getSessionPolicy(username) {
+  const policy = getSettings(username).sessionPolicy;
+  return SESSION_POLICIES.includes(policy) ? policy : DEFAULT_SESSION_POLICY;
+}
+
+// Throws on an unknown policy; null goes back to the default
+function setSessionPolicy(username, policy) {
+  if (policy !== null && !SESSION_POLICIES.includes(policy)) {
+    throw new Error(`Unknown policy "${policy}" (${SESSION_POLICIES.join(', ')})`);
+  }
+  updateSettings(username, (st) => {
+    if (policy) st.sessionPolicy = policy;
+    else delete st.sessionPolicy;
+  });
+  return getSessionPolicy(username);
+}
+
+/* ------------------------------- waking --------------------------------- */
+
+// index.js owns the socket lifecycle and registers how to wake a session
+let waker = null;
+
+function registerWaker(fn) {
+  waker = fn;
+}
+
+// Resolves true once the user's socket is open; false when it can't be woken
+// (no saved login, or it didn't connect in time). Concurrent calls share one attempt.
+async function wakeSession(username) {
+  const u = global.USERS?.[username];
+  if (u?.socketActive) return true;
+  if (!waker) return false;
+  if (u?.waking) return u.waking;
+  const attempt = waker(username).catch(() => false);
+  if (u) {
+    u.waking = attempt;
+    attempt.finally(() => { if (u.waking === attempt) u.waking = null; });
+  }
+  return attempt;
+}
+
+module.exports = {
+  SESSION_POLICIES,
+  DEFAULT_SESSION_POLICY,
+  getSessionPolicy,
+  setSessionPolicy,
+  registerWaker,
+  wakeSession
+};
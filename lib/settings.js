@@ -0,0 +1,35 @@
+// lib/settings.js
+// Per-user bot settings (footer, ...) kept next to categories.json in
+// users/<name>/settings.json and cached on USERS[name].settings.
+
+const { readJSON, writeJSON, getUserPaths } = require('./utils');
+
+function USERSG() { return global.USERS || (global.USERS = {}); }
+
+function getSettings(username) {
+  const u = USERSG()[username];
+  if (u?.settings) return u.settings;
+  const settings = readJSON(getUserPaths(username).settings, {});
+  if (u) u.settings = settings;
+  return settings;
+}
+
+function saveSettings(username, settings) {
+  const u = USERSG()[username];
+  if (u) u.settings = settings;
+  try {
+    writeJSON(getUserPaths(username).settings, settings);
+  } catch (e) {
+    console.warn(`[settings] Failed to save settings for ${username}: ${e.message}`);
+  }
+  return settings;
+}
+
+// mutate(settings) edits in place; the result is persisted and returned
+function updateSettings(username, mutate) {
+  const settings = getSettings(username);
+  mutate(settings);
+  return saveSettings(username, settings);
+}
+
+module.exports = { getSettings, saveSettings, updateSettings };
@@ -1,6 +1,8 @@
 // lib/state.js
 const fs = require("fs");
 const path = require("path");
+const { emitStatus } = require("./events");
+const { getUserPaths } = require("./utils");
 
 let supabase = null;
 try {
@@ -13,7 +15,7 @@ try {
 
 /* ----------------------------- helpers ----------------------------- */
 function getStatePath(username) {
-  const dir = path.join(__dirname, "..", "users", username);
+  const dir = getUserPaths(username).base;
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
   return path.join(dir, "state.json");
 }
@@ -119,7 +121,7 @@ function saveUserState(username, categories, groups) {
     setTimeout(() => {
       _doSave(username, categories, groups);
       timers.delete(key);
-    }, SAVE_DEBOUNCE_MS)
+    }, SAVE_DEBOUNCE_MS).unref() // a pending save never holds a finished process open
   );
 }
 
@@ -133,9 +135,10 @@ async function getFrontendStatus(username) {
   };
 }
 
+// Pushed to /events/:username subscribers as a merged "status" event
 async function notifyFrontend(username, payload) {
-  // Right now this just logs — replace with websocket / push if you want real-time
   console.log(`[notifyFrontend] ${username}:`, payload);
+  emitStatus(username, payload);
 }
 
 module.exports = { loadUserState, saveUserState, getFrontendStatus, notifyFrontend };
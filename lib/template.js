@@ -0,0 +1,58 @@
+// lib/template.js
+// Per-group placeholders in broadcast text/captions, e.g.
+//   "Hi {group_name}! New {category} drop today ({date})"
+// Built-ins win over per-group variables; unknown placeholders are left as-is.
+
+const PLACEHOLDER_RE = /\{([a-zA-Z][\w-]*)\}/g;
+const VAR_NAME_RE = /^[a-zA-Z][\w-]*$/;
+
+const BUILTIN_VARS = ['group_name', 'category', 'date', 'participant_count'];
+
+function hasPlaceholders(text) {
+  PLACEHOLDER_RE.lastIndex = 0;
+  return PLACEHOLDER_RE.test(String(text || ''));
+}
+
+function formatDate(d = new Date()) {
+  return d.toLocaleDateString('en-GB', { day: '2-digit', month: '2-digit', year: 'numeric' });
+}
+
+// group: an allGroups entry ({ id, name, participantCount?, vars? })
+function buildContext({ group = {}, category = null, now = new Date() } = {}) {
+  const builtins = {
+    group_name: group.name || group.id || '',
+    category: category && category !== '__ALL__' ? category : 'All',
+    date: formatDate(now),
+    participant_count: group.participantCount != null ? String(group.participantCount) : ''
+  };
+  return { ...(group.vars || {}), ...builtins };
+}
+
+function renderTemplate(text, context = {}) {
+  if (!text) return text;
+  return String(text).replace(PLACEHOLDER_RE, (whole, name) => {
+    const key = name.toLowerCase();
+    return Object.prototype.hasOwnProperty.call(context, key) ? String(context[key]) : whole;
+  });
+}
+
+// Accepts { key: value }; null/'' values delete. Returns the cleaned map or throws on bad names.
+function applyVarChanges(current = {}, changes = {}) {
+  const next = { ...current };
+  for (const [rawKey, value] of Object.entries(changes || {})) {
+    const key = String(rawKey).trim().toLowerCase();
+    if (!VAR_NAME_RE.test(key)) throw new Error(`Invalid variable name "${rawKey}"`);
+    if (BUILTIN_VARS.includes(key)) throw new Error(`"${key}" is a built-in placeholder`);
+    if (value === null || value === undefined || value === '') delete next[key];
+    else next[key] = String(value);
+  }
+  return next;
+}
+
+module.exports = {
+  BUILTIN_VARS,
+  hasPlaceholders,
+  buildContext,
+  renderTemplate,
+  applyVarChanges
+};
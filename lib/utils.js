@@ -3,6 +3,9 @@ const fs = require('fs-extra');
 const path = require('path');
 const { jidNormalizedUser } = require('@whiskeysockets/baileys');
 
+// Per-user data root (same DATA_DIR the media cleanup sweeps)
+const USERS_ROOT = process.env.DATA_DIR || path.join(__dirname, '..', 'users');
+
 // 🔧 CATEGORY KEYWORDS
 const CATEGORY_KEYWORDS = {
   Shoes: ['shoe', 'sneaker', 'crep', 'yeezy', 'jordan', 'footwear', 'nike', 'adidas', 'sb', 'dunk'],
@@ -53,7 +56,7 @@ function getUserBasePath(username) {
   if (!username || typeof username !== "string") {
     throw new Error("getUserBasePath: username missing/invalid");
   }
-  return path.join(__dirname, '..', 'users', username);
+  return path.join(USERS_ROOT, username);
 }
 
 function getUserPaths(username) {
@@ -61,15 +64,22 @@ function getUserPaths(username) {
   return {
     base,
     auth: path.join(base, 'auth_info'),
+    authStore: path.join(base, 'auth_store'), // encrypted auth store (lib/auth-store.js)
     groups: path.join(base, 'all_groups.json'),
     categories: path.join(base, 'categories.json'),
     tmp: path.join(base, 'tmp'),
     media: path.join(base, 'received_media'),
     data: path.join(base, 'data'), // added so index.js doesn’t break
+    jobs: path.join(base, 'jobs'),
+    settings: path.join(base, 'settings.json'),
+    governor: path.join(base, 'governor.json'),
+    inbox: path.join(base, 'inbox.json'),
+    contacts: path.join(base, 'contacts.json'),
   };
 }
 
 module.exports = {
+  USERS_ROOT,
   ensureDir,
   writeJSON,
   readJSON,
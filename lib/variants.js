@@ -0,0 +1,145 @@
+// lib/variants.js
+// Per-group message variation so one broadcast doesn't land as hundreds of identical texts.
+//  - spintax: "{Hi|Hey|Yo} everyone" picks one option per group (nesting allowed);
+//    braces without a "|" are left alone, so {group_name} placeholders still work
+//  - A/B variants: content.variants = [{ id: 'A', text, weight }, ...] split across
+//    the targets evenly or by weight; job.variantOf = { jid: id } records who got what
+// Both are seeded by job + group, so a resumed job renders exactly what it would have.
+
+const crypto = require('crypto');
+
+/* ----------------------------- config ---------------------------------- */
+
+const MAX_VARIANTS = 5;
+const VARIANT_IDS = ['A', 'B', 'C', 'D', 'E'];
+
+/* ----------------------------- seeding ---------------------------------- */
+
+// Deterministic [0, 1) generator for a seed string
+function seededRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/* ----------------------------- spintax ---------------------------------- */
+
+const INNER_BRACES_RE = /\{([^{}]*)\}/;
+
+function hasSpintax(text) {
+  return /\{[^{}]*\|[^{}]*\}/.test(String(text || ''));
+}
+
+// Resolves innermost groups first; non-spintax braces are parked and restored afterwards
+function spin(text, seed) {
+  if (!text || !hasSpintax(text)) return text;
+  const rand = seededRandom(seed);
+  const parked = [];
+  let out = String(text);
+  let m;
+  while ((m = out.match(INNER_BRACES_RE))) {
+    const options = m[1].split('|');
+    const replacement = options.length > 1
+      ? options[Math.floor(rand() * options.length)]
+      : `\u0000${parked.push(m[0]) - 1}\u0001`;
+    out = out.slice(0, m.index) + replacement + out.slice(m.index + m[0].length);
+  }
+  return out.replace(/\u0000(\d+)\u0001/g, (_, i) => parked[i]);
+}
+
+/* ----------------------------- variants --------------------------------- */
+
+// Base text (variant A) + extra texts → [{ id, text, weight }]. weights: one per variant,
+// A first; missing or invalid ones count as 1 (an even split).
+function buildVariants(baseText, extras = [], weights = []) {
+  const texts = [baseText, ...extras.map(e => (typeof e === 'string' ? e : e?.text ?? e?.caption))]
+    .map(t => String(t ?? '').trim());
+  if (texts.length < 2) return null;
+  if (texts.length > MAX_VARIANTS) throw new Error(`At most ${MAX_VARIANTS} variants`);
+  if (texts.slice(1).some(t => !t)) throw new Error('Variants need text');
+  return texts.map((text, i) => {
+    const w = Number(weights[i] ?? (i ? extras[i - 1]?.weight : undefined));
+    return { id: VARIANT_IDS[i], text, weight: Number.isFinite(w) && w > 0 ? w : 1 };
+  });
+}
+
+// Seeded shuffle of the targets, then each variant gets its weighted share (largest remainder)
+function assignVariants(jids, variants, seed) {
+  const rand = seededRandom(seed);
+  const order = [...jids];
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  const total = variants.reduce((s, v) => s + v.weight, 0);
+  const exact = variants.map(v => (v.weight / total) * order.length);
+  const counts = exact.map(Math.floor);
+  const byRemainder = exact.map((x, i) => [x - counts[i], i]).sort((a, b) => b[0] - a[0]);
+  for (let k = 0; counts.reduce((s, c) => s + c, 0) < order.length; k++) counts[byRemainder[k][1]]++;
+
+  const out = {};
+  let at = 0;
+  variants.forEach((v, i) => {
+    for (const jid of order.slice(at, at + counts[i])) out[jid] = v.id;
+    at += counts[i];
+  });
+  return out;
+}
+
+// Text (or caption) the given variant sends; falls back to the base content
+function variantText(content, id) {
+  const v = id && (content.variants || []).find(x => x.id === id);
+  if (v) return v.text;
+  return content.text !== undefined ? content.text : (content.caption || '');
+}
+
+/* ------------------------------ reporting ------------------------------- */
+
+// Per-variant counts: targets, sent, delivered/read receipts and inbox replies
+function variantSummary(job, inboxItems = []) {
+  if (!job.content?.variants?.length) return null;
+  const variants = job.content.variants;
+  const rows = Object.fromEntries(variants.map(v => [v.id, {
+    id: v.id, text: v.text, weight: v.weight, groups: 0, sent: 0, delivered: 0, read: 0, replies: 0
+  }]));
+  for (const [jid, id] of Object.entries(job.variantOf || {})) {
+    const row = rows[id];
+    if (!row) continue;
+    row.groups++;
+    const r = job.results?.[jid];
+    if (r?.status !== 'sent') continue;
+    row.sent++;
+    const status = r.delivery?.status;
+    if (['delivered', 'read', 'played'].includes(status)) row.delivered++;
+    if (['read', 'played'].includes(status)) row.read++;
+  }
+  for (const item of inboxItems) {
+    if (item.jobId !== job.id || item.kind !== 'reply') continue;
+    const row = rows[job.variantOf?.[item.jid]];
+    if (row) row.replies++;
+  }
+  return Object.values(rows);
+}
+
+function formatVariantSummary(rows) {
+  return rows.map(r => {
+    const snippet = r.text.length > 25 ? r.text.slice(0, 25) + '…' : r.text;
+    return `🅥 ${r.id} "${snippet}" — sent ${r.sent}/${r.groups}, 📥${r.delivered} 👀${r.read} ↩️${r.replies}`;
+  }).join('\n');
+}
+
+module.exports = {
+  MAX_VARIANTS,
+  hasSpintax,
+  spin,
+  buildVariants,
+  assignVariants,
+  variantText,
+  variantSummary,
+  formatVariantSummary
+};
@@ -0,0 +1,112 @@
+// lib/windows.js
+// Send windows (quiet hours): broadcasts only go out between start and end in the
+// window's timezone. Jobs outside their window are held and released when it opens.
+// Windows live in settings.sendWindows:
+//   { default: { start: '09:00', end: '22:00', tz: 'Europe/London' } | null,
+//     categories: { Shoes: { start, end, tz }, ... } }
+// A category window replaces the default one; end < start wraps past midnight.
+
+const { getSettings, updateSettings } = require('./settings');
+
+/* ----------------------------- config ---------------------------------- */
+
+const DEFAULT_TZ = process.env.SEND_WINDOW_TZ || 'Europe/London';
+const TIME_RE = /^([01]?\d|2[0-3])[:.]?([0-5]\d)$/;
+
+/* ----------------------------- helpers ---------------------------------- */
+
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// "9:00" | "0900" | "21.30" → minutes after midnight, or null
+function parseTime(str) {
+  const m = String(str || '').trim().match(TIME_RE);
+  return m ? parseInt(m[1], 10) * 60 + parseInt(m[2], 10) : null;
+}
+
+function formatTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Minutes after midnight of `at` in the given timezone
+function localMinutes(at, tz) {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone: tz, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(new Date(at));
+  const get = (type) => parseInt(parts.find(p => p.type === type)?.value || '0', 10);
+  return get('hour') * 60 + get('minute');
+}
+
+// "09:00" clock time of a timestamp in the window's timezone
+function formatLocal(at, tz) {
+  return new Date(at).toLocaleTimeString('en-GB', { timeZone: tz, hour: '2-digit', minute: '2-digit' });
+}
+
+/* ------------------------------ windows --------------------------------- */
+
+// "09:00-22:00 [Europe/London]" → { start, end, tz }, or throws with a user-facing reason
+function parseWindowSpec(spec, fallbackTz = DEFAULT_TZ) {
+  const [range = '', tz = fallbackTz] = String(spec || '').trim().split(/\s+/);
+  const [a, b] = range.split(/[-–]/);
+  const start = parseTime(a), end = parseTime(b);
+  if (start === null || end === null) throw new Error('Times must look like 09:00-22:00');
+  if (start === end) throw new Error('Start and end must differ');
+  if (!isValidTimeZone(tz)) throw new Error(`Unknown timezone "${tz}" (e.g. Europe/London)`);
+  return { start: formatTime(start), end: formatTime(end), tz };
+}
+
+function getWindows(username) {
+  const w = getSettings(username).sendWindows || {};
+  return { default: w.default || null, categories: w.categories || {} };
+}
+
+// The window that applies to a broadcast's category, or null (always open)
+function windowFor(username, category) {
+  const w = getWindows(username);
+  return (category && w.categories[category]) || w.default;
+}
+
+// category: name, or null for the default window; win: { start, end, tz } or null to remove
+function setWindow(username, category, win) {
+  updateSettings(username, (st) => {
+    const cur = getWindows(username);
+    if (!category) cur.default = win;
+    else if (win) cur.categories = { ...cur.categories, [category]: win };
+    else { cur.categories = { ...cur.categories }; delete cur.categories[category]; }
+    st.sendWindows = cur;
+  });
+  return getWindows(username);
+}
+
+// { open, opensAt? } for a window at `now` (opensAt = ms timestamp when closed)
+function windowState(win, now = Date.now()) {
+  if (!win) return { open: true };
+  const start = parseTime(win.start), end = parseTime(win.end);
+  const cur = localMinutes(now, win.tz);
+  const open = start < end ? cur >= start && cur < end : cur >= start || cur < end;
+  if (open) return { open: true };
+  const wait = (start - cur + 24 * 60) % (24 * 60);
+  // land on the start minute (seconds past the current minute are already gone)
+  const opensAt = now + wait * 60_000 - (now % 60_000);
+  return { open: false, opensAt };
+}
+
+function formatWindow(win) {
+  return win ? `${win.start}–${win.end} ${win.tz}` : 'any time';
+}
+
+module.exports = {
+  DEFAULT_TZ,
+  parseWindowSpec,
+  getWindows,
+  windowFor,
+  setWindow,
+  windowState,
+  formatWindow,
+  formatLocal
+};
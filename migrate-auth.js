@@ -0,0 +1,46 @@
+// migrate-auth.js
+// One-shot import of plaintext auth folders (users/<name>/auth_info or users/<name>/auth)
+// into the configured auth store (AUTH_STORE / AUTH_STORE_KEY, see lib/auth-store.js).
+// The plaintext folders are deleted once their import is verified.
+//   node migrate-auth.js [username ...] [--force]
+// --force  re-imports users that already have creds in the store
+require("dotenv").config();
+const fs = require("fs-extra");
+const path = require("path");
+const { AUTH_STORE, importLegacyAuth, legacyAuthDirs } = require("./lib/auth-store");
+const { USERS_ROOT } = require("./lib/utils");
+
+async function main() {
+  const args = process.argv.slice(2);
+  const force = args.includes("--force");
+  const usersRoot = USERS_ROOT;
+
+  if (AUTH_STORE === "files") {
+    console.error("AUTH_STORE is 'files' (plaintext folders) — set AUTH_STORE_KEY or AUTH_STORE first.");
+    process.exit(1);
+  }
+
+  let usernames = args.filter(a => !a.startsWith("--"));
+  if (!usernames.length && (await fs.pathExists(usersRoot))) {
+    usernames = (await fs.readdir(usersRoot))
+      .filter(name => fs.statSync(path.join(usersRoot, name)).isDirectory());
+  }
+
+  let migrated = 0;
+  for (const username of usernames) {
+    if (!legacyAuthDirs(username).length) continue;
+    try {
+      const count = await importLegacyAuth(username, { force });
+      if (count) migrated++;
+      else console.log(`[${username}] already in the ${AUTH_STORE} store; stale folder removed (use --force to re-import)`);
+    } catch (e) {
+      console.error(`[${username}] auth import failed: ${e.message}`);
+    }
+  }
+  console.log(`Done: ${migrated} user(s) imported into the ${AUTH_STORE} store.`);
+}
+
+main().catch((e) => {
+  console.error("migrate-auth failed:", e);
+  process.exit(1);
+});
@@ -2,7 +2,10 @@
 const express = require("express");
 const fs = require("fs-extra");
 const path = require("path");
-const { getUserPaths } = require("../lib/utils");
+const { USERS_ROOT, getUserPaths } = require("../lib/utils");
+const { pauseBroadcast, resumeBroadcast, cancelPausedJobs } = require("../lib/broadcast");
+const { clearAuthState, hasAuthState } = require("../lib/auth-store");
+const { SESSION_POLICIES, getSessionPolicy, setSessionPolicy, wakeSession } = require("../lib/session-policy");
 
 module.exports = (USERS, startUserSession, endUserSession) => {
   const router = express.Router();
@@ -16,6 +19,8 @@ module.exports = (USERS, startUserSession, endUserSession) => {
       connected: !!user.socketActive,      // correct flag
       connecting: !!user.connecting,
       ended: !!user.ended,
+      sleeping: !!user.sleeping,
+      sessionPolicy: getSessionPolicy(username),
       lastActive: user.lastActive ? new Date(user.lastActive).toISOString() : null,
     }));
     return res.json({ users: data });
@@ -24,13 +29,13 @@ module.exports = (USERS, startUserSession, endUserSession) => {
   // ✅ GET /admin/users/disk — users detected on disk
   router.get("/users/disk", async (_req, res) => {
     try {
-      const usersRoot = path.join(__dirname, "..", "users");
+      const usersRoot = USERS_ROOT;
       if (!(await fs.pathExists(usersRoot))) return res.json({ users: [] });
       const diskUsers = await fs.readdir(usersRoot);
       const details = await Promise.all(
         diskUsers.map(async (u) => {
           const up = getUserPaths(u);
-          const hasAuth = await fs.pathExists(up.auth);
+          const hasAuth = await hasAuthState(u); // whichever auth store is configured
           const hasCats = await fs.pathExists(up.categories);
           const hasGroups = await fs.pathExists(up.groups);
           return { username: u, hasAuth, hasCategories: hasCats, hasGroups };
@@ -70,6 +75,35 @@ module.exports = (USERS, startUserSession, endUserSession) => {
     }
   });
 
+  /* --------------------------- session policy --------------------------- */
+
+  // ✅ GET /admin/session-policy/:username
+  router.get("/session-policy/:username", (req, res) => {
+    const { username } = req.params;
+    if (!USERS[username]) return res.status(404).json({ error: "User not found" });
+    return res.json({ ok: true, policy: getSessionPolicy(username), policies: SESSION_POLICIES });
+  });
+
+  // ✅ POST /admin/session-policy/:username — body: { policy: "always-on" | "idle-keep-auth" | "wipe-on-idle" | null }
+  // null returns to the default. Switching to always-on wakes a sleeping session.
+  router.post("/session-policy/:username", async (req, res) => {
+    const { username } = req.params;
+    const { policy } = req.body || {};
+    // unknown names would otherwise get a settings file (and "..", one outside users/)
+    if (!USERS[username]) return res.status(404).json({ error: "User not found" });
+    if (policy === undefined) return res.status(400).json({ error: "Missing 'policy'" });
+    let applied;
+    try {
+      applied = setSessionPolicy(username, policy);
+    } catch (e) {
+      return res.status(400).json({ error: e.message, policies: SESSION_POLICIES });
+    }
+    console.log(`[admin] session policy for ${username} → ${applied}`);
+    const u = USERS[username];
+    if (applied === "always-on" && !u.socketActive && !u.connecting) wakeSession(username);
+    return res.json({ ok: true, policy: applied });
+  });
+
   /* ------------------------------- nukes -------------------------------- */
 
   // ✅ POST /admin/nuke-auth/:username — wipe login only
@@ -81,8 +115,7 @@ module.exports = (USERS, startUserSession, endUserSession) => {
           console.warn(`[admin] endUserSession warning for ${username}: ${e.message}`);
         }
       }
-      const p = getUserPaths(username);
-      await fs.remove(p.auth); // users/<username>/auth_info
+      await clearAuthState(username); // auth store + users/<username>/auth_info
       delete USERS[username];
       return res.json({ ok: true, message: `Auth nuked for ${username}` });
     } catch (e) {
@@ -101,7 +134,7 @@ module.exports = (USERS, startUserSession, endUserSession) => {
         }
         delete USERS[username];
       }
-      const usersRoot = path.join(__dirname, "..", "users", username);
+      const usersRoot = getUserPaths(username).base;
       if (await fs.pathExists(usersRoot)) {
         await fs.remove(usersRoot);
       }
@@ -124,18 +157,16 @@ module.exports = (USERS, startUserSession, endUserSession) => {
         }
       }
 
-      // 2) Remove all auth_info folders on disk
-      const usersRoot = path.join(__dirname, "..", "users");
+      // 2) Clear the auth store and auth_info folders of every user on disk
+      const usersRoot = USERS_ROOT;
       if (await fs.pathExists(usersRoot)) {
         const diskUsers = await fs.readdir(usersRoot);
         for (const username of diskUsers) {
           try {
-            const authPath = path.join(usersRoot, username, "auth_info");
-            if (await fs.pathExists(authPath)) {
-              await fs.remove(authPath);
-              nuked.add(username);
-              console.log(`[admin] nuked auth (disk) for ${username}`);
-            }
+            if (!(await fs.stat(path.join(usersRoot, username))).isDirectory()) continue;
+            await clearAuthState(username);
+            nuked.add(username);
+            console.log(`[admin] nuked auth (disk) for ${username}`);
           } catch (e) {
             console.warn(`[admin] nuke-all (disk) failed for ${username}: ${e.message}`);
           }
@@ -169,8 +200,36 @@ module.exports = (USERS, startUserSession, endUserSession) => {
     u._cancel.requested = true;
     u._cancel.at = Date.now();
 
+    cancelPausedJobs(username);
+
     return res.json({ ok: true, message: `Cancel requested for ${username}` });
   });
 
+  // ✅ POST /admin/pause/:username — hold the running broadcast after its current batch
+  // body: { timeoutMinutes? } — auto-cancel if not resumed in time (default PAUSE_TIMEOUT_MS)
+  router.post("/pause/:username", (req, res) => {
+    const { username } = req.params;
+    if (!USERS[username]) return res.status(404).json({ error: "User not found" });
+    const mins = parseInt(req.body?.timeoutMinutes, 10);
+    try {
+      const job = pauseBroadcast(username, { timeoutMs: mins > 0 ? mins * 60000 : 0 });
+      return res.json({ ok: true, jobId: job.id, message: `Pause requested for ${username}` });
+    } catch (e) {
+      return res.status(409).json({ error: e.message });
+    }
+  });
+
+  // ✅ POST /admin/resume/:username — continue a paused broadcast
+  router.post("/resume/:username", (req, res) => {
+    const { username } = req.params;
+    if (!USERS[username]) return res.status(404).json({ error: "User not found" });
+    try {
+      const job = resumeBroadcast(username);
+      return res.json({ ok: true, jobId: job.id, message: `Resumed broadcast for ${username}` });
+    } catch (e) {
+      return res.status(409).json({ error: e.message });
+    }
+  });
+
   return router;
 };
@@ -0,0 +1,176 @@
+// routes/broadcasts.js
+const express = require("express");
+const { getJob, listJobs, countResults, failedResults, failureBreakdown } = require("../lib/jobs");
+const { buildDeliveryTable } = require("../lib/receipts");
+const { buildScheduledContent } = require("../lib/media");
+const {
+  startBroadcast,
+  categoryJids,
+  previewBroadcast,
+  findJobForRevision,
+  revisionBlocker,
+  runRevision,
+  retryFailedGroups,
+  findPollJob
+} = require("../lib/broadcast");
+const { tallyPoll } = require("../lib/polls");
+const { buildVariants, variantSummary } = require("../lib/variants");
+const { listInbox } = require("../lib/inbox");
+const { applyMentionToken } = require("../lib/mentions");
+
+module.exports = (USERS) => {
+  const router = express.Router();
+
+  // GET /broadcasts/:username — recent jobs, newest first
+  router.get("/:username", (req, res) => {
+    const { username } = req.params;
+    try {
+      const jobs = listJobs(username).reverse().slice(0, 50).map((job) => ({
+        id: job.id,
+        status: job.status,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt || null,
+        groups: job.jids.length,
+        ...countResults(job)
+      }));
+      return res.json({ ok: true, username, jobs });
+    } catch (err) {
+      console.error(`[${username}] Error in GET /broadcasts:`, err.message);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // POST /broadcasts/:username — queue (or dry-run) a broadcast
+  // body: { category | jids, message_type, content, priority?, mentionAll?, variants?, ratio?, urgent?, dryRun? }
+  // (content as in /schedule-job; message_type "poll" takes content { name, values, selectableCount? };
+  // mentionAll @-mentions every member; variants: alternative texts/captions ["...", { text, weight }]
+  // split across the targets with the content as variant A, ratio: [A, B, ...] weights)
+  // priority: "high" | "normal" | "low" or a number; jobs run one at a time per account
+  // urgent: true sends even outside the category's send window (quiet hours)
+  router.post("/:username", async (req, res) => {
+    const { username } = req.params;
+    const { category, jids: rawJids, message_type, content, priority, mentionAll, variants, ratio, urgent, dryRun } = req.body || {};
+    if (!USERS[username]) return res.status(404).json({ error: "User not found" });
+    if (!category && !Array.isArray(rawJids)) {
+      return res.status(400).json({ error: "Provide 'category' or 'jids'" });
+    }
+
+    // "@all" comes out of the text before it becomes variant A
+    const messageContent = applyMentionToken(buildScheduledContent(message_type, content || {}));
+    if (!messageContent) return res.status(400).json({ error: "Invalid message_type/content" });
+    if (mentionAll && !messageContent.poll) messageContent.mentionAll = true;
+    if (Array.isArray(variants) && variants.length) {
+      if (messageContent.poll || messageContent.audio || messageContent.sticker) {
+        return res.status(400).json({ error: "Variants need a text or captioned message" });
+      }
+      try {
+        const base = messageContent.text !== undefined ? messageContent.text : (messageContent.caption || "");
+        messageContent.variants = buildVariants(base, variants, Array.isArray(ratio) ? ratio : []);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+    }
+
+    const jids = Array.isArray(rawJids) ? rawJids.filter(Boolean) : categoryJids(username, category);
+    if (!jids.length) return res.status(400).json({ error: "No groups to send to" });
+
+    try {
+      if (dryRun) {
+        return res.json({ ok: true, dryRun: true, preview: previewBroadcast(username, jids, messageContent, { category }) });
+      }
+      const { jobId, position } = startBroadcast(username, { jids, content: messageContent, category: category || null, priority, urgent: !!urgent });
+      return res.status(202).json({ ok: true, jobId, position, online: !!USERS[username].socketActive });
+    } catch (err) {
+      console.error(`[${username}] Error in POST /broadcasts:`, err.message);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // GET /broadcasts/:username/:jobId/poll — merged poll votes (jobId may be "latest")
+  router.get("/:username/:jobId/poll", (req, res) => {
+    const { username, jobId } = req.params;
+    try {
+      const job = findPollJob(username, jobId);
+      if (!job) return res.status(404).json({ error: "Poll not found" });
+      return res.json({ ok: true, jobId: job.id, ...tallyPoll(job, USERS[username]?.allGroups || {}) });
+    } catch (err) {
+      console.error(`[${username}] Error in GET /broadcasts/${jobId}/poll:`, err.message);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // GET /broadcasts/:username/:jobId — per-group delivery table
+  router.get("/:username/:jobId", (req, res) => {
+    const { username, jobId } = req.params;
+    try {
+      const job = getJob(username, jobId);
+      if (!job) return res.status(404).json({ error: "Job not found" });
+      const { totals, groups } = buildDeliveryTable(job, USERS[username]?.allGroups || {});
+      return res.json({
+        ok: true,
+        job: {
+          id: job.id,
+          status: job.status,
+          createdAt: job.createdAt,
+          finishedAt: job.finishedAt || null,
+          groups: job.jids.length,
+          ...countResults(job)
+        },
+        delivery: totals,
+        groups,
+        failures: failedResults(job).map((f) => ({ ...f, name: USERS[username]?.allGroups?.[f.jid]?.name || f.jid })),
+        failureBreakdown: failureBreakdown(job),
+        variants: variantSummary(job, listInbox(username, Infinity)),
+        revisions: job.revisions || []
+      });
+    } catch (err) {
+      console.error(`[${username}] Error in GET /broadcasts/${jobId}:`, err.message);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // POST /broadcasts/:username/:jobId/unsend  — delete for everyone in every group it reached
+  // POST /broadcasts/:username/:jobId/edit     — body: { text }
+  // jobId may be "latest". Runs in the background (paced like a send); the outcome
+  // lands in the owner chat and in `revisions` on GET /broadcasts/:username/:jobId.
+  const revise = (action) => (req, res) => {
+    const { username, jobId } = req.params;
+    const text = String(req.body?.text || "").trim();
+    const u = USERS[username];
+    if (!u) return res.status(404).json({ error: "User not found" });
+    if (action === "edit" && !text) return res.status(400).json({ error: "Missing 'text'" });
+
+    const job = findJobForRevision(username, jobId);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    const blocked = revisionBlocker(username);
+    if (blocked) return res.status(409).json({ error: blocked });
+
+    runRevision(username, u.sock, u.ownerJid || job.from, job, action, text)
+      .catch((err) => console.error(`[${username}] ${action} of ${job.id} failed:`, err.message));
+    return res.status(202).json({ ok: true, jobId: job.id, action });
+  };
+  router.post("/:username/:jobId/unsend", revise("unsend"));
+  router.post("/:username/:jobId/edit", revise("edit"));
+
+  // POST /broadcasts/:username/:jobId/retry-failed — queue the original payload again,
+  // only for the groups that failed or were skipped (jobId may be "latest")
+  router.post("/:username/:jobId/retry-failed", (req, res) => {
+    const { username, jobId } = req.params;
+    if (!USERS[username]) return res.status(404).json({ error: "User not found" });
+    try {
+      const { job, position, original } = retryFailedGroups(username, jobId, { source: "api" });
+      return res.status(202).json({
+        ok: true,
+        jobId: job.id,
+        retryOf: original.id,
+        groups: job.jids.length,
+        position,
+        failureBreakdown: failureBreakdown(original)
+      });
+    } catch (err) {
+      return res.status(409).json({ error: err.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,71 @@
+// routes/contacts.js
+const express = require("express");
+const {
+  contactName,
+  formatNumber,
+  isOptedOut,
+  listOptOuts,
+  parseContactImport,
+  addToContactList,
+  contactLists
+} = require("../lib/contacts");
+
+module.exports = (USERS) => {
+  const router = express.Router();
+
+  // GET /contacts/:username
+  router.get("/:username", (req, res) => {
+    const { username } = req.params;
+    try {
+      const lists = {};
+      for (const [name, l] of Object.entries(contactLists(username))) {
+        lists[name] = l.contacts.map(jid => ({
+          jid,
+          name: contactName(username, jid),
+          number: formatNumber(jid),
+          optedOut: isOptedOut(username, jid)
+        }));
+      }
+      return res.json({ ok: true, lists, optOuts: listOptOuts(username).length });
+    } catch (err) {
+      console.error(`[${username}] Error in GET /contacts:`, err.message);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // GET /contacts/:username/opt-outs
+  router.get("/:username/opt-outs", (req, res) => {
+    const { username } = req.params;
+    return res.json({ ok: true, optOuts: listOptOuts(username) });
+  });
+
+  // POST /contacts/:username/import
+  // body: { list, data: <CSV text | vCard text>, format?: "csv" | "vcard" }  (or contacts: [{ phone, name }])
+  // CSV takes a header row with phone/number + name columns, or phone,name rows without one.
+  router.post("/:username/import", (req, res) => {
+    const { username } = req.params;
+    const { list, data, format, contacts } = req.body || {};
+    if (!list || typeof list !== "string") return res.status(400).json({ error: "Missing 'list'" });
+    if (/\s/.test(list)) return res.status(400).json({ error: "Avoid spaces in list names" });
+    if (!data && !Array.isArray(contacts)) return res.status(400).json({ error: "Provide 'data' (CSV/vCard) or 'contacts'" });
+
+    let entries;
+    try {
+      entries = Array.isArray(contacts) ? contacts : parseContactImport(String(data), format);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (!entries.length) return res.status(400).json({ error: "No contacts found in the import" });
+
+    try {
+      const report = addToContactList(username, list, entries);
+      console.log(`[${username}] 📇 Imported ${report.added} contact(s) into ${list} (${report.invalid.length} invalid, ${report.optedOut} opted out)`);
+      return res.json({ ok: true, ...report });
+    } catch (err) {
+      console.error(`[${username}] Error in POST /contacts/import:`, err.message);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  return router;
+};
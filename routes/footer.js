@@ -0,0 +1,64 @@
+// routes/footer.js
+const express = require("express");
+const { getSettings, updateSettings } = require("../lib/settings");
+const { DEFAULT_FOOTER, resolveFooter, applyFooterChange } = require("../lib/footer");
+
+module.exports = (USERS) => {
+  const router = express.Router();
+
+  function describe(username) {
+    const settings = getSettings(username);
+    const categories = Object.keys(USERS[username]?.categories || {});
+    const resolved = {};
+    for (const cat of categories) resolved[cat] = resolveFooter(settings, cat);
+    return {
+      ok: true,
+      defaultFooter: DEFAULT_FOOTER,
+      footer: settings.footer || {},
+      resolved: { all: resolveFooter(settings), categories: resolved }
+    };
+  }
+
+  // GET /footer/:username
+  router.get("/:username", (req, res) => {
+    try {
+      return res.json(describe(req.params.username));
+    } catch (err) {
+      console.error(`[${req.params.username}] Error in GET /footer:`, err.message);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // POST /footer/:username
+  // body: { enabled?, text?, categories?: { <Category>: { enabled?, text? } | null } }
+  // text: null resets to the inherited footer; a category set to null drops its override
+  router.post("/:username", (req, res) => {
+    const { username } = req.params;
+    const body = req.body || {};
+    if (body.categories !== undefined && (typeof body.categories !== "object" || Array.isArray(body.categories))) {
+      return res.status(400).json({ error: "Invalid 'categories' payload. Expected object." });
+    }
+
+    try {
+      updateSettings(username, (st) => {
+        const f = st.footer || (st.footer = {});
+        const next = applyFooterChange({ enabled: f.enabled, text: f.text }, body);
+        f.enabled = next.enabled;
+        f.text = next.text;
+
+        const cats = f.categories || (f.categories = {});
+        for (const [cat, change] of Object.entries(body.categories || {})) {
+          if (change === null) { delete cats[cat]; continue; }
+          const merged = applyFooterChange(cats[cat], change);
+          if (Object.keys(merged).length) cats[cat] = merged;
+          else delete cats[cat];
+        }
+      });
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    return res.json(describe(username));
+  });
+
+  return router;
+};
@@ -0,0 +1,76 @@
+// routes/forward-rules.js
+const express = require("express");
+const { listRules, addRule, updateRule, removeRule } = require("../lib/forward");
+const { resolveForwardSource } = require("../lib/broadcast");
+
+module.exports = (USERS) => {
+  const router = express.Router();
+
+  function categoryExists(username, category) {
+    return category === "__ALL__" || !!USERS[username]?.categories?.[category];
+  }
+
+  // GET /forward-rules/:username
+  router.get("/:username", (req, res) => {
+    const { username } = req.params;
+    try {
+      return res.json({ ok: true, rules: listRules(username) });
+    } catch (err) {
+      console.error(`[${username}] Error in GET /forward-rules:`, err.message);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // POST /forward-rules/:username
+  // body: { source: <group name | group JID | phone number>, category, keywords?: string|string[], marker?: boolean }
+  router.post("/:username", (req, res) => {
+    const { username } = req.params;
+    const { source, category, keywords, marker } = req.body || {};
+    if (!USERS[username]) return res.status(404).json({ error: "User not found" });
+    if (!source || !category) return res.status(400).json({ error: "Missing 'source' or 'category'" });
+    if (!categoryExists(username, category)) return res.status(400).json({ error: `Unknown category "${category}"` });
+
+    const resolved = resolveForwardSource(username, source);
+    if (!resolved) return res.status(400).json({ error: `No group or number matching "${source}"` });
+    try {
+      const rule = addRule(username, {
+        source: resolved.jid,
+        sourceName: resolved.name,
+        category,
+        keywords,
+        marker: marker === undefined ? true : !!marker
+      });
+      return res.json({ ok: true, rule });
+    } catch (err) {
+      return res.status(409).json({ error: err.message });
+    }
+  });
+
+  // POST /forward-rules/:username/:id
+  // body: { category?, keywords?, marker?, enabled? }
+  router.post("/:username/:id", (req, res) => {
+    const { username, id } = req.params;
+    const body = req.body || {};
+    if (body.category !== undefined && !categoryExists(username, body.category)) {
+      return res.status(400).json({ error: `Unknown category "${body.category}"` });
+    }
+    try {
+      const rule = updateRule(username, id, body);
+      if (!rule) return res.status(404).json({ error: "Rule not found" });
+      return res.json({ ok: true, rule });
+    } catch (err) {
+      console.error(`[${username}] Error in POST /forward-rules/${id}:`, err.message);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // DELETE /forward-rules/:username/:id
+  router.delete("/:username/:id", (req, res) => {
+    const { username, id } = req.params;
+    const rule = removeRule(username, id);
+    if (!rule) return res.status(404).json({ error: "Rule not found" });
+    return res.json({ ok: true, removed: rule });
+  });
+
+  return router;
+};
@@ -2,6 +2,7 @@
 const express = require("express");
 const fs = require("fs-extra");
 const { readJSON, getUserPaths } = require("../lib/utils");
+const { contactLists, contactName } = require("../lib/contacts");
 
 module.exports = (USERS) => {
   const router = express.Router();
@@ -35,9 +36,18 @@ module.exports = (USERS) => {
         return { name, jid, categories: inCategories }; // array, not single
       });
 
+      // Contact-list members, same shape as groups
+      const contactJids = new Set(Object.values(contactLists(username)).flatMap(l => l.contacts));
+      const contacts = Array.from(contactJids).map((jid) => ({
+        name: contactName(username, jid),
+        jid,
+        categories: Object.keys(categories || {}).filter((cat) => (categories[cat] || []).includes(jid)),
+      }));
+
       return res.json({
         categories: Object.keys(categories || {}),
         groups,                      // [{ name, jid, categories: [...] }]
+        contacts,                    // [{ name, jid, categories: [...] }]
         mapping: categories || {},   // keep the canonical mapping too
       });
     } catch (err) {
@@ -0,0 +1,68 @@
+// routes/group-vars.js
+const express = require("express");
+const fs = require("fs-extra");
+const { writeJSON, getUserPaths } = require("../lib/utils");
+const { saveUserState } = require("../lib/state");
+const { applyVarChanges, BUILTIN_VARS } = require("../lib/template");
+
+module.exports = (USERS) => {
+  const router = express.Router();
+
+  async function loadUserMaps(username) {
+    const u = USERS[username];
+    const paths = getUserPaths(username);
+    const online = !!u?.socketActive;
+    const categories = online ? (u.categories || {}) : await fs.readJson(paths.categories).catch(() => ({}));
+    const allGroups  = online ? (u.allGroups  || {}) : await fs.readJson(paths.groups).catch(() => ({}));
+    return { categories, allGroups, paths, u };
+  }
+
+  // GET /group-vars/:username — vars for every group that has any
+  router.get("/:username", async (req, res) => {
+    const { username } = req.params;
+    try {
+      const { allGroups } = await loadUserMaps(username);
+      const groups = Object.values(allGroups)
+        .filter((g) => g.vars && Object.keys(g.vars).length)
+        .map((g) => ({ jid: g.id, name: g.name || g.id, vars: g.vars }));
+      return res.json({ ok: true, builtins: BUILTIN_VARS, groups });
+    } catch (err) {
+      console.error(`[${username}] Error in GET /group-vars:`, err.message);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // POST /group-vars/:username/:jid
+  // body: { vars: { key: value | null } } — null/"" deletes a key
+  router.post("/:username/:jid", async (req, res) => {
+    const { username, jid } = req.params;
+    const changes = req.body?.vars;
+    if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+      return res.status(400).json({ error: "Invalid 'vars' payload. Expected object." });
+    }
+
+    try {
+      const { categories, allGroups, paths, u } = await loadUserMaps(username);
+      const group = allGroups[jid];
+      if (!group) return res.status(404).json({ error: "Group not found" });
+
+      try {
+        group.vars = applyVarChanges(group.vars, changes);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+      if (!Object.keys(group.vars).length) delete group.vars;
+
+      writeJSON(paths.groups, allGroups);
+      if (u) u.allGroups = allGroups;
+      try { saveUserState(username, categories, allGroups); } catch {}
+
+      return res.json({ ok: true, jid, vars: group.vars || {} });
+    } catch (err) {
+      console.error(`[${username}] Error in POST /group-vars:`, err.message);
+      return res.status(500).json({ error: "Failed to update group variables" });
+    }
+  });
+
+  return router;
+};
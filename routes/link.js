@@ -0,0 +1,108 @@
+// routes/link.js
+// Hosted link page: support staff issue a short-lived URL, the customer opens it and scans.
+const express = require("express");
+const { renderQr, signLinkToken, verifyLinkToken } = require("../lib/qr-link");
+const { pairingStatus } = require("../lib/pairing");
+const { requireAdmin } = require("../lib/admin-auth");
+
+const REFRESH_SECONDS = 5;
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[ch]));
+}
+
+function page(title, body, refresh = true) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+${refresh ? `<meta http-equiv="refresh" content="${REFRESH_SECONDS}">` : ""}
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 420px; margin: 2rem auto; padding: 0 1rem; text-align: center; color: #222; }
+  .qr svg { width: 100%; max-width: 320px; height: auto; }
+  .muted { color: #777; font-size: .9rem; }
+  .code { font-size: 2rem; letter-spacing: .2em; font-family: monospace; }
+</style>
+</head>
+<body>
+<h2>${escapeHtml(title)}</h2>
+${body}
+</body>
+</html>`;
+}
+
+module.exports = (USERS, startUserSession, { maxQrAttempts } = {}) => {
+  const router = express.Router();
+
+  // POST /link/:username — issue a link for the customer (support staff only: needs ADMIN_SECRET)
+  // body: { ttlMinutes? }  → { url, expiresAt }
+  router.post("/:username", requireAdmin, (req, res) => {
+    const { username } = req.params;
+    if (!USERS[username]) return res.status(404).json({ error: "User not found" });
+    const ttlMinutes = Number(req.body?.ttlMinutes);
+    const { token, expiresAt } = signLinkToken(
+      username,
+      ttlMinutes > 0 ? Math.min(ttlMinutes, 24 * 60) * 60_000 : undefined
+    );
+    const base = process.env.LINK_BASE_URL || `${req.protocol}://${req.get("host")}`;
+    const url = `${base.replace(/\/$/, "")}/link/${encodeURIComponent(username)}?token=${encodeURIComponent(token)}`;
+    console.log(`[${username}] 🔗 Link page issued (expires ${new Date(expiresAt).toISOString()})`);
+    return res.json({ ok: true, url, expiresAt });
+  });
+
+  // GET /link/:username?token=… (public; the signed token is the check)
+  router.get("/:username", async (req, res) => {
+    const { username } = req.params;
+    res.setHeader("Cache-Control", "no-store");
+    const expiresAt = verifyLinkToken(username, req.query.token);
+    if (!expiresAt) {
+      return res.status(403).type("html").send(page("Link expired", `<p>This link is invalid or has expired. Ask support for a new one.</p>`, false));
+    }
+    const u = USERS[username];
+    if (!u) return res.status(404).type("html").send(page("Not found", `<p>Unknown account.</p>`, false));
+
+    if (u.socketActive) {
+      return res.type("html").send(page("Connected ✅", `<p>WhatsApp is linked. You can close this page.</p>`, false));
+    }
+
+    const now = Date.now();
+    const footer = `<p class="muted">This page refreshes every ${REFRESH_SECONDS}s · link expires ${new Date(expiresAt).toUTCString()}</p>`;
+
+    if (u.qrPausedUntil && now < u.qrPausedUntil) {
+      const mins = Math.ceil((u.qrPausedUntil - now) / 60000);
+      return res.type("html").send(page("Please wait", `<p>Too many QR attempts. Try again in about ${mins} minute(s).</p>${footer}`));
+    }
+
+    const pairing = pairingStatus(u, now);
+    if (pairing.active) {
+      const body = pairing.code
+        ? `<p>On your phone open WhatsApp → Linked devices → Link with phone number, then enter:</p><p class="code">${escapeHtml(pairing.code)}</p>`
+        : `<p>Preparing your pairing code…</p>`;
+      return res.type("html").send(page("Link WhatsApp", `${body}${footer}`));
+    }
+
+    // the QR only exists while a session is running; links can be opened long after they were sent
+    if (!u.connecting && !u.sock) startUserSession(username).catch(() => {});
+
+    if (!u.lastQR) {
+      return res.type("html").send(page("Link WhatsApp", `<p>Generating QR code…</p>${footer}`));
+    }
+    try {
+      const svg = await renderQr(u.lastQR, "svg");
+      const attempts = maxQrAttempts ? `${u.qrAttempts || 0} of ${maxQrAttempts}` : `${u.qrAttempts || 0}`;
+      return res.type("html").send(page("Scan to link WhatsApp", `
+<p>On your phone open WhatsApp → Linked devices → Link a device, then scan:</p>
+<div class="qr">${svg}</div>
+<p class="muted">QR attempt ${attempts}</p>
+${footer}`));
+    } catch (err) {
+      console.error(`[${username}] Link page render failed:`, err.message);
+      return res.status(500).type("html").send(page("Something went wrong", `<p>Try again shortly.</p>${footer}`));
+    }
+  });
+
+  return router;
+};
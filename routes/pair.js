@@ -0,0 +1,41 @@
+// routes/pair.js
+// Phone-number linking: WhatsApp → Linked devices → Link with phone number, then type the code.
+const express = require("express");
+const { pairWithPhone, clearPairing, pairingStatus } = require("../lib/pairing");
+
+module.exports = (USERS, startUserSession) => {
+  const router = express.Router();
+
+  // GET /pair/:username
+  router.get("/:username", (req, res) => {
+    const u = USERS[req.params.username];
+    if (!u) return res.status(404).json({ error: "User not found" });
+    return res.json({ ok: true, connected: !!u.socketActive, pairing: pairingStatus(u) });
+  });
+
+  // POST /pair/:username
+  // body: { phoneNumber: "+44 7700 900123" }  → { pairingCode } (null while WhatsApp is still issuing it)
+  router.post("/:username", async (req, res) => {
+    const { username } = req.params;
+    const { phoneNumber } = req.body || {};
+    if (!phoneNumber) return res.status(400).json({ error: "Missing 'phoneNumber'" });
+    try {
+      const result = await pairWithPhone(username, phoneNumber, startUserSession);
+      if (!result.ok) return res.status(result.status).json({ ok: false, error: result.error, pairing: result.pairing });
+      return res.json({ ok: true, pairingCode: result.pairing.code, pairing: result.pairing });
+    } catch (err) {
+      console.error(`[${username}] Error in POST /pair:`, err.message);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // DELETE /pair/:username — back to QR linking
+  router.delete("/:username", (req, res) => {
+    const u = USERS[req.params.username];
+    if (!u) return res.status(404).json({ error: "User not found" });
+    clearPairing(u);
+    return res.json({ ok: true });
+  });
+
+  return router;
+};
@@ -3,12 +3,16 @@ const express = require("express");
 const fs = require("fs-extra");
 const { readJSON, writeJSON, getUserPaths } = require("../lib/utils");
 const { saveUserState } = require("../lib/state");
+const { isContactJid } = require("../lib/contacts");
 
 module.exports = (USERS) => {
   const router = express.Router();
 
   /* ----------------------- helpers ----------------------- */
 
+  // Groups and individual contacts (contact lists) are both valid category entries
+  const isTargetJid = (j) => typeof j === "string" && (j.endsWith("@g.us") || isContactJid(j));
+
   // Normalize an incoming list of names/JIDs/objects to JIDs using the user's group map.
   function normalizeListToJids(list, allGroups) {
     if (!Array.isArray(list)) return [];
@@ -37,15 +41,15 @@ module.exports = (USERS) => {
     const out = [];
     for (const entry of list) {
       if (!entry) continue;
-      if (typeof entry === "string" && entry.endsWith("@g.us")) { out.push(entry); continue; }
-      if (entry && typeof entry === "object" && entry.id && entry.id.endsWith("@g.us")) { out.push(entry.id); continue; }
+      if (typeof entry === "string" && isTargetJid(entry)) { out.push(entry); continue; }
+      if (entry && typeof entry === "object" && isTargetJid(entry.id)) { out.push(entry.id); continue; }
       if (typeof entry === "string") {
         const trimmed = entry.trim();
         const exact = byExactName.get(trimmed); if (exact) { out.push(exact); continue; }
         const maybe = byNormName.get(norm(trimmed)); if (maybe) { out.push(maybe); continue; }
       }
     }
-    return Array.from(new Set(out)).filter((j) => typeof j === "string" && j.endsWith("@g.us"));
+    return Array.from(new Set(out)).filter((j) => isTargetJid(j));
   }
 
   async function loadUserMaps(username) {
@@ -1,6 +1,7 @@
 // routes/schedule-job.js
 const express = require("express");
 const { supabase } = require("../lib/db");
+const { buildScheduledContent } = require("../lib/media");
 const router = express.Router();
 
 router.post("/", async (req, res) => {
@@ -10,6 +11,10 @@ router.post("/", async (req, res) => {
     if (!username || !category || !message_type || !content || !scheduled_for) {
       return res.status(400).json({ error: "Missing required fields" });
     }
+    // text | image | video | document | audio | sticker | poll ({ name, values, selectableCount? })
+    if (!buildScheduledContent(message_type, content)) {
+      return res.status(400).json({ error: "Invalid message_type/content" });
+    }
 
     const { data, error } = await supabase
       .from("scheduled_jobs")
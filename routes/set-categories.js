@@ -2,9 +2,13 @@
 const express = require("express");
 const { readJSON, writeJSON, getUserPaths } = require("../lib/utils");
 const { saveUserState } = require("../lib/state");
+const { isContactJid } = require("../lib/contacts");
 
 const router = express.Router();
 
+// Groups and individual contacts (contact lists) are both valid category entries
+const isTargetJid = (j) => typeof j === "string" && (j.endsWith("@g.us") || isContactJid(j));
+
 function normalizeListToJids(list, allGroups) {
   if (!Array.isArray(list)) return [];
   const byExactName = new Map(
@@ -23,15 +27,15 @@ function normalizeListToJids(list, allGroups) {
   const out = [];
   for (const entry of list) {
     if (!entry) continue;
-    if (typeof entry === "string" && entry.endsWith("@g.us")) { out.push(entry); continue; }
-    if (entry && typeof entry === "object" && entry.id && entry.id.endsWith("@g.us")) { out.push(entry.id); continue; }
+    if (typeof entry === "string" && isTargetJid(entry)) { out.push(entry); continue; }
+    if (entry && typeof entry === "object" && isTargetJid(entry.id)) { out.push(entry.id); continue; }
     if (typeof entry === "string") {
       const trimmed = entry.trim();
       const exact = byExactName.get(trimmed); if (exact) { out.push(exact); continue; }
       const maybe = byNormName.get(norm(trimmed)); if (maybe) { out.push(maybe); continue; }
     }
   }
-  return Array.from(new Set(out)).filter(j => typeof j === "string" && j.endsWith("@g.us"));
+  return Array.from(new Set(out)).filter(j => isTargetJid(j));
 }
 
 module.exports = (USERS) => {
@@ -0,0 +1,12 @@
+-- WhatsApp login state for AUTH_STORE=supabase (lib/auth-store.js).
+-- One row per (username, key); values are AES-256-GCM sealed with AUTH_STORE_KEY.
+create table if not exists public.bot_auth_state (
+  username   text        not null,
+  key        text        not null,
+  value      text        not null,
+  updated_at timestamptz not null default now(),
+  primary key (username, key)
+);
+
+-- only the service role (lib/db.js) may touch it; it bypasses RLS
+alter table public.bot_auth_state enable row level security;
@@ -0,0 +1,86 @@
+// test/announce-only.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// user data goes to a throwaway dir, never the real users/
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-bot-test-'));
+
+const { autoScanAndCategorise, sendInBatches } = require('../lib/broadcast');
+const { getJob, failedResults } = require('../lib/jobs');
+
+const OWNER = '447700900000@s.whatsapp.net';
+
+// Installs a fresh global.USERS for the test and restores the previous one afterwards
+function withUsers(t, users) {
+  const previous = global.USERS;
+  global.USERS = users;
+  t.after(() => { global.USERS = previous; });
+}
+
+test.after(() => fs.removeSync(process.env.DATA_DIR));
+
+test('the group scan records posting rules and our admin rights', async (t) => {
+  const username = 'scan';
+  withUsers(t, { [username]: { categories: {}, allGroups: {} } });
+  const me = (admin) => [{ id: '447700900000:12@s.whatsapp.net', admin }, { id: '447700900111@s.whatsapp.net', admin: 'superadmin' }];
+  const sock = {
+    user: { id: '447700900000:12@s.whatsapp.net' },
+    groupFetchAllParticipating: async () => ({
+      'admin@g.us': { id: 'admin@g.us', subject: 'We admin', announce: true, participants: me('admin') },
+      'member@g.us': { id: 'member@g.us', subject: 'We member', announce: true, participants: me(null) },
+      'open@g.us': { id: 'open@g.us', subject: 'Open', announce: false, participants: [] }
+    })
+  };
+
+  await autoScanAndCategorise(username, sock);
+
+  const groups = global.USERS[username].allGroups;
+  assert.strictEqual(groups['admin@g.us'].botIsAdmin, true);
+  assert.strictEqual(groups['member@g.us'].botIsAdmin, false);
+  assert.strictEqual(groups['open@g.us'].botIsAdmin, null, 'unknown when we are not in the list');
+  assert.strictEqual(groups['member@g.us'].announce, true);
+});
+
+test('an admins-only refusal is remembered and skipped up front next time', async (t) => {
+  const username = 'refusal';
+  const attempts = [];
+  const sock = {
+    user: { id: OWNER },
+    sendMessage: async (jid, content) => {
+      if (jid.endsWith('@g.us')) attempts.push(jid);
+      if (jid === 'locked@g.us') throw new Error('not-acceptable');
+      return { key: { id: `msg-${attempts.length}`, remoteJid: jid, fromMe: true } };
+    },
+    groupMetadata: async () => ({ participants: [] })
+  };
+  const user = {
+    sock,
+    socketActive: true,
+    quietStatuses: true,
+    ownerJid: OWNER,
+    categories: {},
+    allGroups: {
+      'open@g.us': { id: 'open@g.us', name: 'Open' },
+      // scan couldn't tell whether we're admin
+      'locked@g.us': { id: 'locked@g.us', name: 'Locked', announce: true, botIsAdmin: null }
+    }
+  };
+  withUsers(t, { [username]: user });
+  const jids = ['open@g.us', 'locked@g.us'];
+
+  user.broadcastJobId = 'job-refusal-1';
+  await sendInBatches(sock, username, OWNER, jids, { text: 'first' }, user.broadcastJobId);
+  assert.deepStrictEqual(failedResults(getJob(username, 'job-refusal-1')).map(f => [f.jid, f.status, f.reason]),
+    [['locked@g.us', 'failed', 'not-admin']]);
+  assert.strictEqual(user.allGroups['locked@g.us'].botIsAdmin, false);
+
+  attempts.length = 0;
+  user.broadcastJobId = 'job-refusal-2';
+  await sendInBatches(sock, username, OWNER, jids, { text: 'second' }, user.broadcastJobId);
+  assert.deepStrictEqual(attempts, ['open@g.us'], 'no send attempt to the admins-only group');
+  assert.deepStrictEqual(failedResults(getJob(username, 'job-refusal-2')).map(f => [f.jid, f.status]),
+    [['locked@g.us', 'skipped']]);
+});
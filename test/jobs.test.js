@@ -0,0 +1,72 @@
+// test/jobs.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// user data goes to a throwaway dir, never the real users/
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-bot-test-'));
+
+const { createJob, getJob, saveJob, setJobStatus, listUnfinishedJobs, pendingJobs, pruneJobs } = require('../lib/jobs');
+const { getUserPaths } = require('../lib/utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test.after(() => fs.removeSync(process.env.DATA_DIR));
+
+function jobFile(username, job) {
+  return path.join(getUserPaths(username).jobs, `${job.id}.json`);
+}
+
+// Backdates a job file's mtime, which is what retention goes by
+function age(username, job, ms) {
+  const at = (Date.now() - ms) / 1000;
+  fs.utimesSync(jobFile(username, job), at, at);
+}
+
+test('listUnfinishedJobs expires jobs too old to resume', () => {
+  const username = 'expiry';
+  const fresh = createJob(username, { jids: ['a@g.us'], content: { text: 'fresh' } });
+  const stale = createJob(username, { jids: ['b@g.us'], content: { text: 'stale' } });
+  stale.createdAt = Date.now() - 2 * DAY_MS;
+  saveJob(username, stale);
+
+  assert.deepStrictEqual(listUnfinishedJobs(username).map(j => j.id), [fresh.id]);
+  assert.strictEqual(getJob(username, stale.id).status, 'expired');
+  assert.ok(getJob(username, stale.id).finishedAt);
+});
+
+test('pendingJobs follows status changes without re-reading job files', () => {
+  const username = 'index';
+  const first = createJob(username, { jids: ['a@g.us'], content: { text: 'one' } });
+  const second = createJob(username, { jids: ['b@g.us'], content: { text: 'two' }, priority: 'high' });
+  assert.deepStrictEqual(pendingJobs(username).map(j => j.id), [second.id, first.id]);
+
+  setJobStatus(username, second, 'completed');
+  const third = createJob(username, { jids: ['c@g.us'], content: { text: 'three' } });
+  // a job file edited behind the store's back is not picked up again
+  fs.writeJsonSync(jobFile(username, first), { ...first, status: 'cancelled' });
+
+  const pending = pendingJobs(username);
+  assert.deepStrictEqual(pending.map(j => j.id), [first.id, third.id]);
+  assert.strictEqual(pending[0], getJob(username, first.id), 'the live object, not a fresh read');
+});
+
+test('pruneJobs deletes finished jobs past retention and keeps the rest', () => {
+  const username = 'prune';
+  const old = createJob(username, { jids: ['a@g.us'], content: { text: 'old' } });
+  const recent = createJob(username, { jids: ['b@g.us'], content: { text: 'recent' } });
+  const running = createJob(username, { jids: ['c@g.us'], content: { text: 'running' } });
+  setJobStatus(username, old, 'completed');
+  setJobStatus(username, recent, 'cancelled');
+  setJobStatus(username, running, 'running');
+  age(username, old, 40 * DAY_MS);
+  age(username, running, 40 * DAY_MS);
+
+  assert.strictEqual(pruneJobs(username), 1);
+  assert.ok(!fs.existsSync(jobFile(username, old)));
+  assert.strictEqual(getJob(username, old.id), null);
+  assert.ok(fs.existsSync(jobFile(username, recent)));
+  assert.ok(fs.existsSync(jobFile(username, running)), 'unfinished jobs are never pruned');
+});
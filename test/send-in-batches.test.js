@@ -0,0 +1,108 @@
+// test/send-in-batches.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// user data goes to a throwaway dir, never the real users/
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-bot-test-'));
+process.env.BATCH_SIZE = '10';
+
+const { sendInBatches } = require('../lib/broadcast');
+const { getJob, countResults } = require('../lib/jobs');
+const { getUserPaths } = require('../lib/utils');
+
+const OWNER = '447700900000@s.whatsapp.net';
+
+// A socket that accepts every send except the groups listed in `refuse`
+function fakeSock(refuse = []) {
+  const sent = [];
+  const sock = {
+    user: { id: OWNER },
+    sendMessage: async (jid, content) => {
+      if (refuse.includes(jid)) throw new Error('not-acceptable');
+      sent.push({ jid, content });
+      return { key: { id: `msg-${sent.length}`, remoteJid: jid, fromMe: true } };
+    },
+    groupMetadata: async () => ({ participants: [] })
+  };
+  return { sock, sent };
+}
+
+// Installs a fresh global.USERS for the test and restores the previous one afterwards
+function withUsers(t, users) {
+  const previous = global.USERS;
+  global.USERS = users;
+  t.after(() => { global.USERS = previous; });
+}
+
+test.after(() => fs.removeSync(process.env.DATA_DIR));
+
+test('sendInBatches counts sent, failed and skipped groups', async (t) => {
+  const username = 'counts';
+  const jobId = `job-test-${Date.now()}`;
+  const { sock, sent } = fakeSock(['g3@g.us']);
+  withUsers(t, {
+    [username]: {
+      sock,
+      socketActive: true,
+      broadcastJobId: jobId,
+      quietStatuses: true,
+      ownerJid: OWNER,
+      categories: {},
+      allGroups: {
+        'g1@g.us': { id: 'g1@g.us', name: 'One' },
+        'g2@g.us': { id: 'g2@g.us', name: 'Two' },
+        // admins-only where the refusal is final
+        'g3@g.us': { id: 'g3@g.us', name: 'Three', announce: true },
+        // admins-only and we aren't admin: skipped before sending
+        'g4@g.us': { id: 'g4@g.us', name: 'Four', announce: true, botIsAdmin: false }
+      }
+    }
+  });
+
+  await sendInBatches(sock, username, OWNER, ['g1@g.us', 'g2@g.us', 'g3@g.us', 'g4@g.us'], { text: 'hello' }, jobId);
+
+  const job = getJob(username, jobId);
+  assert.deepStrictEqual(countResults(job), { sent: 2, failed: 1, skipped: 1 });
+  assert.strictEqual(job.status, 'completed');
+
+  const report = sent.map(s => s.content.text || '').find(text => text.startsWith('📊 Broadcast Complete'));
+  assert.ok(report, 'final report sent to the owner');
+  assert.match(report, /✅ Sent: 2\n❌ Failed: 1\n⭐ Skipped: 1/);
+});
+
+test('sendInBatches saves the job once per batch, not per group', async (t) => {
+  const username = 'saves';
+  const jobId = `job-test-${Date.now()}`;
+  const jids = ['a', 'b', 'c', 'd', 'e', 'f'].map(id => `${id}@g.us`);
+  const { sock } = fakeSock();
+  withUsers(t, {
+    [username]: {
+      sock,
+      socketActive: true,
+      broadcastJobId: jobId,
+      quietStatuses: true,
+      ownerJid: OWNER,
+      categories: {},
+      allGroups: Object.fromEntries(jids.map(jid => [jid, { id: jid, name: jid }]))
+    }
+  });
+
+  // how many group results each write of the job file held
+  const jobFile = path.join(getUserPaths(username).jobs, `${jobId}.json`);
+  const written = [];
+  const writeFileSync = fs.writeFileSync;
+  t.mock.method(fs, 'writeFileSync', function (file, data, ...rest) {
+    if (file === jobFile) written.push(Object.keys(JSON.parse(data).results).length);
+    return writeFileSync.call(this, file, data, ...rest);
+  });
+
+  await sendInBatches(sock, username, OWNER, jids, { text: 'hello' }, jobId);
+
+  assert.deepStrictEqual(countResults(getJob(username, jobId)), { sent: 6, failed: 0, skipped: 0 });
+  // created and started with no results, then all six land in a single write
+  assert.deepStrictEqual([...new Set(written)], [0, 6]);
+  assert.ok(written.length <= 4, `job written ${written.length} times`);
+});